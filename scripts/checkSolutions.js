@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATASETS_DIR = path.join(ROOT_DIR, 'src', 'datasets');
+const FORMS = ['1NF', '2NF', '3NF', 'BCNF', '4NF'];
+
+// Give solution tables the shape of a student's saved tables
+const asSavedTables = (tables) => tables.map((table, idx) => ({ ...table, id: idx + 1, saved: true }));
+
+/**
+ * Check that every form of a dataset's reference solution joins back to the raw data
+ * @returns {Array} Failure messages
+ */
+const checkLosslessJoins = (dataset, { verifyLosslessJoin }) => {
+  const forms = FORMS.filter((form) => dataset.solutions?.[form]);
+  const referenceTables = dataset.solutions['1NF']?.tables || [];
+
+  return forms.flatMap((form, formIdx) => {
+    const earlierForms = forms
+      .slice(0, formIdx)
+      .reverse()
+      .map((earlierForm) => asSavedTables(dataset.solutions[earlierForm].tables));
+    const result = verifyLosslessJoin(
+      asSavedTables(dataset.solutions[form].tables),
+      dataset.rawData,
+      referenceTables,
+      earlierForms
+    );
+    if (result.isLossless) return [];
+    return [
+      `${form} is not lossless (${result.spuriousRows.length} spurious, ${result.lostRows.length} lost` +
+        (result.disconnectedTables.length > 0 ? `, disconnected: ${result.disconnectedTables.join(', ')}` : '') +
+        ')'
+    ];
+  });
+};
+
+/**
+ * Check that a dataset's 3NF tables, submitted unchanged as its BCNF answer, are
+ * flagged with a BCNF violation (only for datasets with a BCNF solution)
+ * @returns {Array} Failure messages
+ */
+const checkBcnfViolationFlagged = (dataset, { validateSolution, getNameAliases, ISSUE_CODES }) => {
+  if (!dataset.solutions?.BCNF) return [];
+
+  // Each 3NF table copied as it is from the 3NF form
+  const unchangedTables = asSavedTables(dataset.solutions['3NF'].tables.map((table) => ({
+    ...table,
+    columns: table.columns.map((column) => ({
+      ...column,
+      mappingType: 'direct',
+      sourceCols: [`${table.name}.${column.name}`]
+    }))
+  })));
+  const result = validateSolution(unchangedTables, dataset.solutions.BCNF, {
+    form: 'BCNF',
+    rawData: dataset.rawData,
+    previousFormTables: asSavedTables(dataset.solutions['3NF'].tables),
+    previousPreviousFormTables: asSavedTables(dataset.solutions['2NF'].tables),
+    olderFormTables: [asSavedTables(dataset.solutions['1NF'].tables)],
+    aliases: getNameAliases(dataset)
+  });
+
+  const flagged = result.tableDetails.some((detail) =>
+    detail.errors.some((issue) => issue.code === ISSUE_CODES.BCNF_VIOLATION)
+  );
+  return flagged ? [] : ['3NF tables submitted as BCNF are not flagged with a BCNF violation'];
+};
+
+const run = async () => {
+  // The utilities use extensionless imports, so they're loaded through Vite
+  const server = await createServer({
+    root: ROOT_DIR,
+    configFile: false,
+    logLevel: 'error',
+    server: { middlewareMode: true },
+    appType: 'custom'
+  });
+
+  let failures = 0;
+  try {
+    const joinVerifier = await server.ssrLoadModule('/src/utils/joinVerifier.js');
+    const validator = await server.ssrLoadModule('/src/utils/validator.js');
+    const files = fs.readdirSync(DATASETS_DIR)
+      .filter((file) => file.endsWith('.json') && file !== 'template.json');
+
+    files.forEach((file) => {
+      const dataset = JSON.parse(fs.readFileSync(path.join(DATASETS_DIR, file), 'utf8'));
+      const messages = [
+        ...checkLosslessJoins(dataset, joinVerifier),
+        ...checkBcnfViolationFlagged(dataset, validator)
+      ];
+      messages.forEach((message) => console.log(`${file}: ${message}`));
+      failures += messages.length;
+    });
+
+    console.log(`\nChecked ${files.length} dataset(s): ${failures === 0 ? 'all solutions pass' : `${failures} failure(s)`}.`);
+  } finally {
+    await server.close();
+  }
+
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+};
+
+run();
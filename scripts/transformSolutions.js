@@ -6,7 +6,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DATASETS_DIR = path.join(__dirname, '..', 'src', 'datasets');
-const FORMS = ['1NF', '2NF', '3NF'];
+const FORMS = ['1NF', '2NF', '3NF', 'BCNF', '4NF'];
 
 const normalize = (value) => {
   if (!value || typeof value !== 'string') return '';
@@ -166,8 +166,11 @@ const transformDataset = (dataset) => {
       return;
     }
 
+    // Alternative designs reference the previous form's main tables, like the main solution does
+    const alternativeTables = (formData.alternatives || []).flatMap((alternative) => alternative.tables || []);
+
     if (index > 0 && prevMeta) {
-      formData.tables.forEach((table) => {
+      [...formData.tables, ...alternativeTables].forEach((table) => {
         (table.columns || []).forEach((column) => {
           const updatedSources = updateColumnSources(column, prevMeta);
           const normalizedMapping = normalizeMappingType(column);
@@ -1,15 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { loadAllDatasets, loadDatasetById } from './utils/datasetLoader';
-import { validateSolution, markFormCompleted, getProgress, clearProgress, isFormCompleted } from './utils/validator';
+import React, { useState, useEffect, useRef } from 'react';
+import { loadAllDatasets, loadDatasetById, getDatasetForms, NORMALIZATION_FORMS } from './utils/datasetLoader';
+import { getNameAliases, createIssue, ISSUE_CODES, markFormCompleted, getProgress, clearProgress, isFormCompleted } from './utils/validator';
 import { getMappedColumns, getMappingStats } from './utils/dataTransformer';
+import { validateSolutionAsync, verifyLosslessJoinAsync } from './utils/previewClient';
+import { suggestConsolidatedTable } from './utils/repeatingGroups';
+import { normalizeName } from './utils/valueHelpers';
+import { getDatasetDependencies } from './utils/dependencyPreservation';
 import DatasetSelector from './components/DatasetSelector';
 import RawDataView from './components/RawDataView';
 import TableBuilder from './components/TableBuilder';
 import HelpSystem from './components/HelpSystem';
 import ValidationFeedback from './components/ValidationFeedback';
 import PreviousFormTablesView from './components/PreviousFormTablesView';
-
-const NORMALIZATION_FORMS = ['1NF', '2NF', '3NF'];
+import LosslessJoinPanel from './components/LosslessJoinPanel';
+import AnomalyLab from './components/AnomalyLab';
+
+/**
+ * Whether two snapshots of the work on screen are the same dataset, form and tables
+ */
+function isSameWork(a, b) {
+  return a.datasetId === b.datasetId && a.form === b.form && a.userTables === b.userTables;
+}
 
 function App() {
   const [datasets, setDatasets] = useState([]);
@@ -17,8 +28,14 @@ function App() {
   const [currentForm, setCurrentForm] = useState('1NF');
   const [userTables, setUserTables] = useState([]);
   const [validationResult, setValidationResult] = useState(null);
+  const [joinResult, setJoinResult] = useState(null);
   const [showResetConfirm, setShowResetConfirm] = useState(false);
   const [progress, setProgress] = useState({});
+  const [isChecking, setIsChecking] = useState(false);
+  const [isVerifyingJoin, setIsVerifyingJoin] = useState(false);
+  // The work on screen; checks run in a worker and their results are dropped if it changed meanwhile
+  const workRef = useRef(null);
+  workRef.current = { datasetId: selectedDataset?.id, form: currentForm, userTables };
 
   // Helper functions to save/load tables per dataset per form
   // These are defined as regular functions (not using useCallback) since they don't depend on state
@@ -103,7 +120,7 @@ function App() {
       const allWork = JSON.parse(localStorage.getItem('normalizationWork') || '{}');
       const datasetWork = allWork[dataset.id] || {};
       
-      // Check forms in reverse order (3NF, 2NF, 1NF) to find the most advanced form with saved tables
+      // Check forms in reverse order (4NF, BCNF, 3NF, 2NF, 1NF) to find the most advanced form with saved tables
       for (let i = NORMALIZATION_FORMS.length - 1; i >= 0; i--) {
         const form = NORMALIZATION_FORMS[i];
         if (canAccessForm(form, dataset) && datasetWork[form] && datasetWork[form].length > 0) {
@@ -117,6 +134,7 @@ function App() {
     const savedTables = loadTablesForForm(dataset.id, formToLoad);
     setUserTables(savedTables);
     setValidationResult(null);
+    setJoinResult(null);
   };
 
   const handleCheckAnswer = () => {
@@ -130,7 +148,12 @@ function App() {
       if (unsavedTables.length > 0) {
         setValidationResult({
           isValid: false,
-          errors: [`Please save all tables before checking your answer. ${unsavedTables.length} table(s) need to be saved.`],
+          errors: [createIssue(
+            ISSUE_CODES.UNSAVED_TABLES,
+            'error',
+            `Please save all tables before checking your answer. ${unsavedTables.length} table(s) need to be saved.`,
+            { actual: unsavedTables.length }
+          )],
           warnings: [],
           tableDetails: []
         });
@@ -139,24 +162,77 @@ function App() {
     }
 
     const solution = selectedDataset.solutions[currentForm];
-    const result = validateSolution(userTables, solution.tables);
-    setValidationResult(result);
-
-    if (result.isValid) {
-      // Mark all tables as saved when answer is correct
-      const savedTables = userTables.map(table => ({ ...table, saved: true }));
-      setUserTables(savedTables);
-      // Save to localStorage
-      saveTablesForForm(selectedDataset.id, currentForm, savedTables);
-      markFormCompleted(selectedDataset.id, currentForm);
-      setProgress(getProgress());
+    const work = workRef.current;
+    setIsChecking(true);
+    validateSolutionAsync(userTables, solution, {
+      form: currentForm,
+      rawData: selectedDataset.rawData,
+      previousFormTables,
+      previousPreviousFormTables,
+      olderFormTables,
+      functionalDependencies: getDatasetDependencies(selectedDataset),
+      aliases: getNameAliases(selectedDataset)
+    })
+      .then(result => {
+        if (!isSameWork(workRef.current, work)) return;
+        setValidationResult(result);
+
+        if (result.isValid) {
+          // Mark all tables as saved when answer is correct
+          const savedTables = userTables.map(table => ({ ...table, saved: true }));
+          setUserTables(savedTables);
+          // Save to localStorage
+          saveTablesForForm(selectedDataset.id, currentForm, savedTables);
+          markFormCompleted(selectedDataset.id, currentForm);
+          setProgress(getProgress());
+        }
+      })
+      .catch(error => {
+        if (!isSameWork(workRef.current, work)) return;
+        setValidationResult({
+          isValid: false,
+          errors: [createIssue(ISSUE_CODES.CHECK_FAILED, 'error', `Your answer couldn't be checked: ${error.message}`)],
+          warnings: [],
+          tableDetails: []
+        });
+      })
+      .finally(() => setIsChecking(false));
+  };
+
+  const handleVerifyLosslessJoin = () => {
+    if (!selectedDataset || !selectedDataset.solutions['1NF']) return;
+
+    const savedTables = userTables.filter(table => table.saved && table.columns.length > 0);
+    if (savedTables.length === 0) {
+      setJoinResult({ error: 'Save at least one table before verifying the join.' });
+      return;
     }
+
+    // The earlier forms' tables, nearest first, as generateTableData takes them
+    const earlierForms = [previousFormTables, previousPreviousFormTables, ...olderFormTables]
+      .filter(tables => tables && tables.length > 0);
+    const work = workRef.current;
+    setIsVerifyingJoin(true);
+    verifyLosslessJoinAsync(
+      savedTables,
+      selectedDataset.rawData,
+      selectedDataset.solutions['1NF'].tables,
+      earlierForms
+    )
+      .then(result => {
+        if (isSameWork(workRef.current, work)) setJoinResult(result);
+      })
+      .catch(error => {
+        if (isSameWork(workRef.current, work)) {
+          setJoinResult({ error: `The join couldn't be verified: ${error.message}` });
+        }
+      })
+      .finally(() => setIsVerifyingJoin(false));
   };
 
   const handleNextForm = () => {
-    const currentIndex = NORMALIZATION_FORMS.indexOf(currentForm);
-    if (currentIndex < NORMALIZATION_FORMS.length - 1) {
-      const nextForm = NORMALIZATION_FORMS[currentIndex + 1];
+    const nextForm = getNextForm();
+    if (nextForm) {
       handleFormChange(nextForm);
     }
   };
@@ -167,34 +243,43 @@ function App() {
     const savedTables = loadTablesForForm(selectedDataset.id, form);
     setUserTables(savedTables);
     setValidationResult(null);
+    setJoinResult(null);
   };
 
-  // Get previous form's tables for 2NF/3NF
-  const getPreviousFormTables = () => {
+  // Forms available for the selected dataset (BCNF/4NF only when the dataset has a solution for them)
+  const datasetForms = getDatasetForms(selectedDataset);
+
+  const getNextForm = () => {
+    const currentIndex = datasetForms.indexOf(currentForm);
+    return currentIndex !== -1 && currentIndex < datasetForms.length - 1 ? datasetForms[currentIndex + 1] : null;
+  };
+
+  // Get the form that comes `stepsBack` forms before the current one (1 = previous form)
+  const getEarlierFormName = (stepsBack) => {
+    const formIndex = datasetForms.indexOf(currentForm) - stepsBack;
+    return formIndex >= 0 ? datasetForms[formIndex] : null;
+  };
+
+  // Get an earlier form's tables for 2NF/3NF/BCNF/4NF
+  // Each form is built from the one before it: 1NF → 2NF → 3NF → BCNF → 4NF
+  const getPreviousFormTables = (stepsBack = 1) => {
     if (!selectedDataset) return null;
     
-    if (currentForm === '2NF') {
-      const oneNFTables = loadTablesForForm(selectedDataset.id, '1NF');
-      // Only return tables that are saved (completed)
-      return oneNFTables.filter(table => table.saved && table.columns.length > 0);
-    } else if (currentForm === '3NF') {
-      const twoNFTables = loadTablesForForm(selectedDataset.id, '2NF');
-      // Only return tables that are saved (completed)
-      return twoNFTables.filter(table => table.saved && table.columns.length > 0);
-    }
+    const form = getEarlierFormName(stepsBack);
+    if (!form) return null;
     
-    return null;
+    // Only return tables that are saved (completed)
+    return loadTablesForForm(selectedDataset.id, form).filter(table => table.saved && table.columns.length > 0);
   };
 
-  const previousFormTables = getPreviousFormTables();
-  const previousFormName = currentForm === '2NF' ? '1NF' : currentForm === '3NF' ? '2NF' : null;
-  const previousPreviousFormTables = currentForm === '3NF' && selectedDataset ? loadTablesForForm(selectedDataset.id, '1NF').filter(t => t.saved && t.columns.length > 0) : null;
-
-  // Helper function to normalize table/column names for matching
-  const normalizeName = (name) => {
-    if (!name) return '';
-    return name.trim().toLowerCase().replace(/\s+/g, '_');
-  };
+  const previousFormTables = getPreviousFormTables(1);
+  const previousFormName = getEarlierFormName(1);
+  const previousPreviousFormTables = getPreviousFormTables(2);
+  // Forms further back are needed to regenerate the chain of previews (for BCNF: 1NF tables; for 4NF: 1NF and 2NF)
+  const olderFormTables = [];
+  for (let stepsBack = 3; getEarlierFormName(stepsBack); stepsBack++) {
+    olderFormTables.push(getPreviousFormTables(stepsBack));
+  }
 
   // Helper function to check if two table names match flexibly
   const tablesMatch = (tableName1, tableName2) => {
@@ -319,6 +404,7 @@ function App() {
     setCurrentForm('1NF');
     setUserTables([]);
     setValidationResult(null);
+    setJoinResult(null);
     setShowResetConfirm(false);
   };
 
@@ -338,6 +424,7 @@ function App() {
       setCurrentForm('1NF');
       setUserTables([]);
       setValidationResult(null);
+      setJoinResult(null);
     }
   };
 
@@ -345,12 +432,16 @@ function App() {
     if (form === '1NF') return true;
     if (!dataset) return false;
     
+    // Optional forms (BCNF, 4NF) only exist for datasets that provide a solution for them
+    if (!getDatasetForms(dataset).includes(form)) return false;
+    
     // Allow access if the form is completed (user can review completed forms)
     if (isFormCompleted(dataset.id, form)) return true;
     
     // Otherwise, check if previous form is completed
-    const formIndex = NORMALIZATION_FORMS.indexOf(form);
-    const previousForm = NORMALIZATION_FORMS[formIndex - 1];
+    // (the previous form within this dataset, e.g. 3NF for a 4NF dataset without BCNF)
+    const forms = getDatasetForms(dataset);
+    const previousForm = forms[forms.indexOf(form) - 1];
     return isFormCompleted(dataset.id, previousForm);
   };
 
@@ -425,7 +516,7 @@ function App() {
           <div className="bg-white rounded-lg shadow-md p-6 mb-6">
             <h2 className="text-xl font-bold mb-4 text-gray-800">Normalization Progress</h2>
             <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-4 sm:gap-2">
-              {NORMALIZATION_FORMS.map((form, idx) => {
+              {datasetForms.map((form, idx) => {
                 const status = getFormStatus(form);
                 return (
                   <React.Fragment key={form}>
@@ -456,7 +547,7 @@ function App() {
                         </button>
                       )}
                     </div>
-                    {idx < NORMALIZATION_FORMS.length - 1 && (
+                    {idx < datasetForms.length - 1 && (
                       <div className={`w-full sm:w-auto sm:h-1 sm:flex-1 h-1 ${status === 'completed' ? 'bg-green-500' : 'bg-gray-200'} shrink-0`} />
                     )}
                   </React.Fragment>
@@ -508,6 +599,7 @@ function App() {
                       }
                       setSelectedDataset(null);
                       setValidationResult(null);
+                      setJoinResult(null);
                     }}
                     className="px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 transition-colors whitespace-nowrap"
                   >
@@ -523,16 +615,27 @@ function App() {
                 rawData={selectedDataset.rawData}
                 mappedColumns={getMappedColumns(userTables)}
                 mappingStats={selectedDataset.rawData ? getMappingStats(userTables, selectedDataset.rawData.columns) : null}
+                onCreateTable={(group, groups) => {
+                  // Pre-fill a table with the consolidate and metadata mappings for the group
+                  const { rawData } = selectedDataset;
+                  const name = userTables.some(t => t.name === rawData.tableName)
+                    ? `${rawData.tableName}_${group.name}`
+                    : rawData.tableName;
+                  const table = suggestConsolidatedTable(group, rawData.columns, groups, name);
+                  setUserTables([...userTables, { id: Date.now(), ...table, saved: false }]);
+                }}
               />
             )}
 
-            {/* Previous Form Tables View - Show for 2NF/3NF */}
+            {/* Previous Form Tables View - Show for 2NF and later forms */}
             {previousFormTables && previousFormTables.length > 0 && (
               <PreviousFormTablesView
                 previousFormTables={previousFormTables}
                 previousFormName={previousFormName}
                 rawData={selectedDataset.rawData}
                 previousPreviousFormTables={previousPreviousFormTables}
+                olderFormTables={olderFormTables}
+                currentForm={currentForm}
               />
             )}
 
@@ -550,7 +653,12 @@ function App() {
                   columns: solTable.columns.map(col => ({
                     name: col.name,
                     type: col.type,
+                    ...(col.foreignKeyTable ? { foreignKeyTable: col.foreignKeyTable } : {}),
                     mappingType: col.mappingType,
+                    // Options of the split, derived and metadata mapping types
+                    ...(col.delimiter ? { delimiter: col.delimiter } : {}),
+                    ...(col.expression ? { expression: col.expression } : {}),
+                    ...(col.pattern ? { pattern: col.pattern } : {}),
                     // For 2NF/3NF, transform sourceCols to use user's previous form table names
                     // For 1NF, sourceCols reference raw data columns, so keep as-is
                     sourceCols: currentForm !== '1NF' && previousFormTables && previousFormTables.length > 0
@@ -571,16 +679,37 @@ function App() {
               currentForm={currentForm}
               previousFormName={previousFormName}
               previousPreviousFormTables={previousPreviousFormTables}
+              olderFormTables={olderFormTables}
             />
 
             {/* Validation Feedback */}
             <ValidationFeedback
               validationResult={validationResult}
               onCheckAnswer={handleCheckAnswer}
+              isChecking={isChecking}
+            />
+
+            {/* Lossless Join Verification */}
+            <LosslessJoinPanel
+              joinResult={joinResult}
+              onVerify={handleVerifyLosslessJoin}
+              isVerifying={isVerifyingJoin}
+            />
+
+            {/* Anomaly Lab */}
+            <AnomalyLab
+              key={`${selectedDataset.id}-${currentForm}`}
+              rawData={selectedDataset.rawData}
+              referenceTables={selectedDataset.solutions['1NF']?.tables || []}
+              userTables={userTables}
+              earlierForms={[previousFormTables, previousPreviousFormTables, ...olderFormTables]
+                .filter(tables => tables && tables.length > 0)}
+              dependencies={getDatasetDependencies(selectedDataset)}
+              currentForm={currentForm}
             />
 
             {/* Next Form Button */}
-            {validationResult?.isValid && canAccessForm(NORMALIZATION_FORMS[NORMALIZATION_FORMS.indexOf(currentForm) + 1]) && (
+            {validationResult?.isValid && getNextForm() && canAccessForm(getNextForm()) && (
               <div className="bg-green-50 border-2 border-green-400 rounded-lg p-6">
                 <h3 className="text-xl font-bold text-green-800 mb-2">Great job!</h3>
                 <p className="text-green-700 mb-4">
@@ -590,7 +719,7 @@ function App() {
                   onClick={handleNextForm}
                   className="px-6 py-3 bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors font-semibold"
                 >
-                  Continue to {NORMALIZATION_FORMS[NORMALIZATION_FORMS.indexOf(currentForm) + 1]}
+                  Continue to {getNextForm()}
                 </button>
               </div>
             )}
@@ -0,0 +1,362 @@
+import React, { useState, useRef } from 'react';
+import {
+  buildRawView,
+  getDependencyGroups,
+  getCellFact,
+  describeFact,
+  simulateUpdate,
+  simulateDelete,
+  simulateInsert,
+  getRecordKey,
+  findMatchingRows
+} from '../utils/anomalySimulator';
+import { buildTableViewsAsync } from '../utils/previewClient';
+
+const OPERATIONS = [
+  { id: 'update', label: 'Update' },
+  { id: 'delete', label: 'Delete' },
+  { id: 'insert', label: 'Insert' }
+];
+
+/**
+ * Rows of one view, with changed cells in green and stale copies in red
+ */
+function ViewRows({ view, rowIndices, cellClass }) {
+  return (
+    <div className="overflow-x-auto mt-2">
+      <p className="text-xs font-semibold text-gray-700 mb-1">{view.name}</p>
+      <table className="min-w-full border-collapse border border-gray-300 text-xs bg-white">
+        <thead>
+          <tr className="bg-gray-100">
+            {view.columns.map((col, colIdx) => (
+              <th key={colIdx} className="border border-gray-300 px-2 py-1 text-left font-semibold text-gray-700">
+                {col.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rowIndices.map(rowIdx => (
+            <tr key={rowIdx}>
+              {view.rows[rowIdx].map((cell, cellIdx) => (
+                <td key={cellIdx} className={`border border-gray-300 px-2 py-1 ${cellClass(rowIdx, cellIdx)}`}>
+                  {cell || <span className="text-gray-400 italic">(empty)</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * One side of the comparison: the anomaly found (or its absence) and the rows involved
+ */
+function SideResult({ title, outcome }) {
+  return (
+    <div className="p-4 bg-gray-50 rounded border border-gray-200">
+      <h4 className="font-semibold text-gray-800 mb-2">{title}</h4>
+      {outcome.note ? (
+        <p className="text-sm text-gray-600">{outcome.note}</p>
+      ) : (
+        <div className={`p-3 rounded border-l-4 ${
+          outcome.anomaly ? 'bg-red-50 border-red-400' : 'bg-green-50 border-green-400'
+        }`}>
+          <p className={`text-sm ${outcome.anomaly ? 'text-red-800' : 'text-green-800'}`}>
+            {outcome.anomaly || outcome.success}
+          </p>
+        </div>
+      )}
+
+      {outcome.lostFacts && outcome.lostFacts.length > 0 && (
+        <ul className="list-disc list-inside mt-2 text-sm text-red-700">
+          {outcome.lostFacts.map((fact, factIdx) => (
+            <li key={factIdx}>{describeFact(fact)}</li>
+          ))}
+        </ul>
+      )}
+
+      {(outcome.rows || []).map(({ view, rowIndices, cellClass }, idx) => (
+        <ViewRows key={idx} view={view} rowIndices={rowIndices} cellClass={cellClass} />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Turn an update result into rows to show: the edited row plus every stale copy
+ */
+function describeUpdate(views, result) {
+  if (!result.updatedCell) return { note: result.note };
+  const cells = [result.updatedCell, ...result.staleCells];
+  const rows = views
+    .map((view, viewIdx) => {
+      const viewCells = cells.filter(cell => cell.viewIdx === viewIdx);
+      if (viewCells.length === 0) return null;
+      return {
+        view,
+        rowIndices: [...new Set(viewCells.map(cell => cell.rowIdx))].slice(0, 10),
+        cellClass: (rowIdx, colIdx) => {
+          const cell = viewCells.find(c => c.rowIdx === rowIdx && c.colIdx === colIdx);
+          if (!cell) return 'text-gray-700';
+          return cell === result.updatedCell ? 'bg-green-100 text-green-900 font-medium' : 'bg-red-100 text-red-900 font-medium';
+        }
+      };
+    })
+    .filter(Boolean);
+  return {
+    anomaly: result.anomaly,
+    success: 'No anomaly: the value is stored once, so changing that one row updates it everywhere.',
+    rows
+  };
+}
+
+/**
+ * Interactive "Anomaly Lab": runs the same insert, update or delete against the raw table
+ * and against the user's tables for the current form, and shows what goes wrong on each side
+ */
+export default function AnomalyLab({ rawData, referenceTables, userTables, earlierForms, dependencies, currentForm }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [operation, setOperation] = useState('update');
+  const [rowIdx, setRowIdx] = useState(0);
+  const [columnIdx, setColumnIdx] = useState(0);
+  const [newValue, setNewValue] = useState('');
+  const [groupIdx, setGroupIdx] = useState(0);
+  const [insertValues, setInsertValues] = useState({});
+  const [outcome, setOutcome] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const runRef = useRef(0); // Latest run, so a run that finishes after the operation changed is dropped
+
+  const groups = getDependencyGroups(dependencies);
+  const hasSavedTables = (userTables || []).some(table => table.saved && table.columns.length > 0);
+
+  const changeOperation = (id) => {
+    setOperation(id);
+    setOutcome(null);
+    setIsRunning(false);
+    runRef.current++;
+  };
+
+  const runOperation = () => {
+    // The user's tables are previewed in a worker; fresh copies each run, since the simulation changes the rows
+    const runId = ++runRef.current;
+    setIsRunning(true);
+    buildTableViewsAsync(userTables, rawData, earlierForms)
+      .then(tableViews => {
+        if (runRef.current === runId) showOutcome(buildRawView(rawData, referenceTables), tableViews);
+      })
+      .catch(error => {
+        if (runRef.current === runId) setOutcome({ error: `Your tables couldn't be previewed: ${error.message}` });
+      })
+      .finally(() => {
+        if (runRef.current === runId) setIsRunning(false);
+      });
+  };
+
+  const showOutcome = (rawView, tableViews) => {
+    const tablesNote = hasSavedTables ? null : 'Save your tables to see how they handle the same change.';
+
+    if (operation === 'update') {
+      const fact = getCellFact(rawView, rowIdx, columnIdx, dependencies);
+      if (!fact) {
+        setOutcome({
+          error: `${rawData.columns[columnIdx]} is not determined by another column (it is part of a key), ` +
+            'so there is no repeated fact to update. Pick a descriptive column such as a name or price.'
+        });
+        return;
+      }
+      const rawResult = simulateUpdate([rawView], fact, newValue, dependencies, { viewIdx: 0, rowIdx, colIdx: columnIdx });
+      const tableResult = simulateUpdate(tableViews, fact, newValue, dependencies);
+      setOutcome({
+        summary: `Change ${describeFact(fact)} to "${newValue}" by editing one row.`,
+        raw: describeUpdate([rawView], rawResult),
+        tables: tablesNote ? { note: tablesNote } : describeUpdate(tableViews, tableResult)
+      });
+    } else if (operation === 'delete') {
+      const matchingRows = findMatchingRows(rawView, rowIdx, tableViews);
+      const recordKey = getRecordKey(rawView.keyOrigins, dependencies);
+      const rawResult = simulateDelete([rawView], [{ viewIdx: 0, rowIdx }], dependencies, recordKey);
+      const tableResult = simulateDelete(tableViews, matchingRows, dependencies, recordKey);
+      setOutcome({
+        summary: `Delete raw row ${rowIdx + 1}, and the rows of your tables that record the same thing (${matchingRows.length}).`,
+        raw: { anomaly: rawResult.anomaly, success: 'No anomaly: nothing else is lost.', lostFacts: rawResult.lostFacts },
+        tables: tablesNote
+          ? { note: tablesNote }
+          : matchingRows.length === 0
+            ? { note: 'None of your tables has a row keyed by this raw row\'s key, so there is nothing to delete.' }
+            : { anomaly: tableResult.anomaly, success: 'No anomaly: every other fact is still stored.', lostFacts: tableResult.lostFacts }
+      });
+    } else {
+      const group = groups[groupIdx];
+      if (!group) return;
+      const values = {};
+      [...group.determinant, ...group.dependents].forEach(name => {
+        values[name] = insertValues[name] || '';
+      });
+      if (group.determinant.some(name => !values[name].trim())) {
+        setOutcome({ error: `Enter a value for ${group.determinant.join(', ')} first.` });
+        return;
+      }
+      const describeInsert = (views, result) => {
+        if (!result.insertedInto) return { anomaly: result.anomaly };
+        const view = views[result.insertedInto.viewIdx];
+        return {
+          success: `No anomaly: stored as a new row of ${view.name}` +
+            (result.emptyColumns.length > 0 ? ` (left empty: ${result.emptyColumns.join(', ')}).` : '.'),
+          rows: [{ view, rowIndices: [result.insertedInto.rowIdx], cellClass: () => 'bg-green-100 text-green-900' }]
+        };
+      };
+      setOutcome({
+        summary: `Insert ${group.determinant.join(', ')} with its ${group.dependents.join(', ')}, and nothing else.`,
+        raw: describeInsert([rawView], simulateInsert([rawView], group.determinant, values)),
+        tables: tablesNote ? { note: tablesNote } : describeInsert(tableViews, simulateInsert(tableViews, group.determinant, values))
+      });
+    }
+  };
+
+  const selectedGroup = groups[groupIdx];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-800">Anomaly Lab</h3>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="px-4 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600 transition-colors text-sm font-medium"
+        >
+          {isOpen ? 'Close' : 'Open'} Anomaly Lab
+        </button>
+      </div>
+      <p className="text-sm text-gray-600">
+        Try an insert, update or delete on the raw table and on your {currentForm} tables, and see which side gets into trouble.
+      </p>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          {dependencies.length === 0 ? (
+            <p className="text-sm text-yellow-700">This dataset declares no functional dependencies, so there is nothing to simulate.</p>
+          ) : (
+            <>
+              <div className="flex gap-2">
+                {OPERATIONS.map(op => (
+                  <button
+                    key={op.id}
+                    onClick={() => changeOperation(op.id)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      operation === op.id ? 'bg-purple-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {op.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-end gap-3">
+                {(operation === 'update' || operation === 'delete') && (
+                  <label className="text-sm text-gray-700">
+                    Raw row
+                    <select
+                      value={rowIdx}
+                      onChange={(e) => setRowIdx(Number(e.target.value))}
+                      className="block mt-1 px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                      {rawData.rows.map((row, idx) => (
+                        <option key={idx} value={idx}>
+                          {idx + 1}: {row.slice(0, 3).join(' | ')}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+
+                {operation === 'update' && (
+                  <>
+                    <label className="text-sm text-gray-700">
+                      Column
+                      <select
+                        value={columnIdx}
+                        onChange={(e) => setColumnIdx(Number(e.target.value))}
+                        className="block mt-1 px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        {rawData.columns.map((col, idx) => (
+                          <option key={idx} value={idx}>{col}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      New value
+                      <input
+                        type="text"
+                        value={newValue}
+                        onChange={(e) => setNewValue(e.target.value)}
+                        placeholder={rawData.rows[rowIdx]?.[columnIdx] || ''}
+                        className="block mt-1 px-2 py-1 border border-gray-300 rounded-md"
+                      />
+                    </label>
+                  </>
+                )}
+
+                {operation === 'insert' && (
+                  <>
+                    <label className="text-sm text-gray-700">
+                      Fact to insert
+                      <select
+                        value={groupIdx}
+                        onChange={(e) => {
+                          setGroupIdx(Number(e.target.value));
+                          setInsertValues({});
+                        }}
+                        className="block mt-1 px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        {groups.map((group, idx) => (
+                          <option key={idx} value={idx}>
+                            {group.determinant.join(', ')} → {group.dependents.join(', ')}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    {selectedGroup && [...selectedGroup.determinant, ...selectedGroup.dependents].map(name => (
+                      <label key={name} className="text-sm text-gray-700">
+                        {name}
+                        <input
+                          type="text"
+                          value={insertValues[name] || ''}
+                          onChange={(e) => setInsertValues({ ...insertValues, [name]: e.target.value })}
+                          className="block mt-1 px-2 py-1 border border-gray-300 rounded-md w-36"
+                        />
+                      </label>
+                    ))}
+                  </>
+                )}
+
+                <button
+                  onClick={runOperation}
+                  disabled={isRunning}
+                  className="px-4 py-2 bg-purple-500 text-white rounded-md hover:bg-purple-600 transition-colors text-sm font-medium disabled:opacity-60 disabled:cursor-wait"
+                >
+                  {isRunning ? 'Running...' : `Run ${OPERATIONS.find(op => op.id === operation).label}`}
+                </button>
+              </div>
+
+              {outcome && outcome.error && (
+                <p className="text-sm text-yellow-700">{outcome.error}</p>
+              )}
+
+              {outcome && !outcome.error && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-700 italic">{outcome.summary}</p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <SideResult title="Raw table (0NF)" outcome={outcome.raw} />
+                    <SideResult title={`Your ${currentForm} tables`} outcome={outcome.tables} />
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useMemo, useState } from 'react';
+import { findCandidateKeys } from '../utils/dependencyAnalyzer';
+
+// Keys shown per size before "show all"
+const KEYS_PER_SIZE = 5;
+
+/**
+ * Lists the minimal candidate keys of a table, found from its rows and ranked by size
+ * If the table already has PK columns, the matching key is marked
+ */
+export default function CandidateKeysPanel({ columns, rows, primaryKey = [] }) {
+  const candidateKeys = useMemo(() => findCandidateKeys(columns, rows), [columns, rows]);
+  const [showAll, setShowAll] = useState(false);
+
+  const isPrimaryKey = (key) =>
+    primaryKey.length === key.length && key.every(col => primaryKey.includes(col));
+
+  // Group keys by size so single-column keys come first
+  const keysBySize = candidateKeys.reduce((groups, key) => {
+    (groups[key.length] = groups[key.length] || []).push(key);
+    return groups;
+  }, {});
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 rounded border border-gray-200">
+      <h5 className="text-sm font-semibold text-gray-700 mb-1">Candidate Keys (from the data)</h5>
+      {candidateKeys.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No key of up to 3 columns: every such combination repeats in some rows or has empty cells.
+        </p>
+      ) : (
+        <div className="space-y-1">
+          {Object.keys(keysBySize).map(size => (
+            <div key={size} className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-500 w-20">{size} column{size === '1' ? '' : 's'}:</span>
+              {(showAll ? keysBySize[size] : keysBySize[size].slice(0, KEYS_PER_SIZE)).map((key, keyIdx) => (
+                <span
+                  key={keyIdx}
+                  className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    isPrimaryKey(key) ? 'bg-green-100 text-green-800' : 'bg-purple-100 text-purple-800'
+                  }`}
+                >
+                  {key.length > 1 ? `(${key.join(', ')})` : key[0]}
+                  {isPrimaryKey(key) && ' ✓ PK'}
+                </span>
+              ))}
+            </div>
+          ))}
+          {Object.values(keysBySize).some(keys => keys.length > KEYS_PER_SIZE) && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="text-xs text-blue-600 hover:text-blue-800 underline"
+            >
+              {showAll ? 'Show fewer' : `Show all ${candidateKeys.length} keys`}
+            </button>
+          )}
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-2 italic">
+        Each key uniquely identifies every row shown, and no smaller part of it does. With few rows,
+        some keys only hold by coincidence, so check that they make sense for the real data.
+      </p>
+    </div>
+  );
+}
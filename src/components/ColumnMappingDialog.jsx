@@ -1,4 +1,18 @@
 import React, { useState, useEffect } from 'react';
+import { DEFAULT_SPLIT_DELIMITER, splitCellValues, extractMetadataValue } from '../utils/dataTransformer';
+import {
+  parseExpression,
+  evaluateExpression,
+  getExpressionColumns,
+  getExpressionFunctions
+} from '../utils/expressionEvaluator';
+
+// Ready-made patterns for metadata columns; any regular expression can be typed instead
+const METADATA_PATTERNS = [
+  { label: 'Whole column name', pattern: '' },
+  { label: 'Number in the name (TREATMENT1 → 1)', pattern: '(\\d+)' },
+  { label: 'Text after the last _ (PHONE_HOME → HOME)', pattern: '_([^_]+)$' }
+];
 
 export default function ColumnMappingDialog({
   isOpen,
@@ -9,13 +23,17 @@ export default function ColumnMappingDialog({
   existingColumn = null,
   tableId = null,
   tables = [],
-  onTablesChange = null
+  onTablesChange = null,
+  rawData = null
 }) {
   const [columnName, setColumnName] = useState('');
   const [mappingType, setMappingType] = useState('direct');
   const [selectedSourceCols, setSelectedSourceCols] = useState([]);
   const [columnType, setColumnType] = useState('attribute');
   const [foreignKeyTable, setForeignKeyTable] = useState('');
+  const [delimiter, setDelimiter] = useState(DEFAULT_SPLIT_DELIMITER);
+  const [expression, setExpression] = useState('');
+  const [pattern, setPattern] = useState('');
 
   // Get crossed out columns from table state (persisted)
   const getCrossedOutCols = () => {
@@ -50,6 +68,44 @@ export default function ColumnMappingDialog({
 
   const availableCols = getAvailableColumns();
 
+  // Parse the derived expression and compute it for the first few raw rows
+  const derivedPreview = (() => {
+    if (mappingType !== 'derived') return null;
+    try {
+      const parsed = parseExpression(expression);
+      const rawColumns = rawData?.columns || [];
+      const values = (rawData?.rows || []).slice(0, 3).map(row => ({
+        inputs: getExpressionColumns(parsed).map(name => row[rawColumns.indexOf(name)] ?? ''),
+        value: evaluateExpression(parsed, name => {
+          const idx = rawColumns.indexOf(name);
+          return idx !== -1 ? row[idx] : '';
+        })
+      }));
+      return { error: null, columns: getExpressionColumns(parsed), values };
+    } catch (error) {
+      return { error: error.message, columns: [], values: [] };
+    }
+  })();
+
+  const patternError = (() => {
+    if (mappingType !== 'metadata' || !pattern) return null;
+    try {
+      new RegExp(pattern);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  })();
+
+  // First multi-valued cell of the selected raw column, to show how it will be split
+  const splitExample = (() => {
+    if (mappingType !== 'split' || !delimiter || selectedSourceCols.length === 0 || !rawData) return null;
+    const colIdx = (rawData.columns || []).indexOf(selectedSourceCols[0]);
+    if (colIdx === -1) return null;
+    const row = (rawData.rows || []).find(r => splitCellValues(r[colIdx], delimiter).length > 1);
+    return row ? { cell: row[colIdx], values: splitCellValues(row[colIdx], delimiter) } : null;
+  })();
+
   const toggleCrossOut = (colName) => {
     const newSet = new Set(crossedOutCols);
     if (newSet.has(colName)) {
@@ -68,6 +124,9 @@ export default function ColumnMappingDialog({
       setSelectedSourceCols(existingColumn.sourceCols || []);
       setColumnType(existingColumn.type || 'attribute');
       setForeignKeyTable(existingColumn.foreignKeyTable || '');
+      setDelimiter(existingColumn.delimiter || DEFAULT_SPLIT_DELIMITER);
+      setExpression(existingColumn.expression || '');
+      setPattern(existingColumn.pattern || '');
     } else {
       // Reset form when adding new column
       setColumnName('');
@@ -75,6 +134,9 @@ export default function ColumnMappingDialog({
       setSelectedSourceCols([]);
       setColumnType('attribute');
       setForeignKeyTable('');
+      setDelimiter(DEFAULT_SPLIT_DELIMITER);
+      setExpression('');
+      setPattern('');
     }
     // Load crossed out columns from table state when dialog opens
     if (isOpen) {
@@ -90,8 +152,12 @@ export default function ColumnMappingDialog({
   }, [mappingType, existingColumn]);
 
   const handleSourceColToggle = (colName) => {
-    if (mappingType === 'direct') {
-      // Single selection for direct mapping
+    if (mappingType === 'derived') {
+      // Clicking a column adds it to the expression
+      const reference = /^[A-Za-z_][A-Za-z0-9_.]*$/.test(colName) ? colName : `[${colName}]`;
+      setExpression(expression.trim() ? `${expression.trimEnd()} & ${reference}` : reference);
+    } else if (mappingType === 'direct' || mappingType === 'split') {
+      // Single selection for direct and split mappings
       setSelectedSourceCols([colName]);
     } else {
       // Multiple selection for consolidation and metadata
@@ -111,8 +177,25 @@ export default function ColumnMappingDialog({
       return;
     }
 
-    if (selectedSourceCols.length === 0) {
-      alert('Please select at least one source column');
+    if (mappingType === 'derived') {
+      if (derivedPreview.error) {
+        alert(`The expression is not valid: ${derivedPreview.error}`);
+        return;
+      }
+      const unknownColumns = derivedPreview.columns.filter(col => !availableSourceColumns.includes(col));
+      if (unknownColumns.length > 0) {
+        alert(`Unknown source column(s) in the expression: ${unknownColumns.join(', ')}`);
+        return;
+      }
+    }
+
+    // Derived columns take their source columns from the expression
+    const sourceCols = mappingType === 'derived' ? derivedPreview.columns : selectedSourceCols;
+
+    if (sourceCols.length === 0) {
+      alert(mappingType === 'derived'
+        ? 'The expression must use at least one source column'
+        : 'Please select at least one source column');
       return;
     }
 
@@ -121,11 +204,29 @@ export default function ColumnMappingDialog({
       return;
     }
 
+    if (mappingType === 'split' && selectedSourceCols.length > 1) {
+      alert('Split mapping can only use one source column');
+      return;
+    }
+
+    if (mappingType === 'metadata' && patternError) {
+      alert(`The pattern is not a valid regular expression: ${patternError}`);
+      return;
+    }
+
+    if (mappingType === 'split' && !delimiter) {
+      alert('Please enter the delimiter that separates the values');
+      return;
+    }
+
     const newColumn = {
       name: columnName.trim(),
       type: columnType,
       mappingType: mappingType,
-      sourceCols: selectedSourceCols,
+      sourceCols,
+      ...(mappingType === 'split' ? { delimiter } : {}),
+      ...(mappingType === 'derived' ? { expression: expression.trim() } : {}),
+      ...(mappingType === 'metadata' && pattern ? { pattern } : {}),
       ...(columnType === 'FK' && foreignKeyTable ? { foreignKeyTable } : {})
     };
 
@@ -137,6 +238,9 @@ export default function ColumnMappingDialog({
     setSelectedSourceCols([]);
     setColumnType('attribute');
     setForeignKeyTable('');
+    setDelimiter(DEFAULT_SPLIT_DELIMITER);
+    setExpression('');
+    setPattern('');
     onClose();
   };
 
@@ -208,6 +312,47 @@ export default function ColumnMappingDialog({
                 <p className="text-sm text-gray-600">The column names themselves become values (e.g., 'PILOT', 'COPILOT')</p>
               </div>
             </label>
+            <label className="flex items-center p-3 border rounded-md cursor-pointer hover:bg-gray-50">
+              <input
+                type="radio"
+                value="split"
+                checked={mappingType === 'split'}
+                onChange={(e) => setMappingType(e.target.value)}
+                className="mr-3"
+              />
+              <div>
+                <span className="font-medium">Split Multi-Valued Cells (1-to-Many)</span>
+                <p className="text-sm text-gray-600">A cell listing several values (e.g., 'Math, Physics') becomes one row per value</p>
+              </div>
+            </label>
+            <label className="flex items-center p-3 border rounded-md cursor-pointer hover:bg-gray-50">
+              <input
+                type="radio"
+                value="surrogate"
+                checked={mappingType === 'surrogate'}
+                onChange={(e) => setMappingType(e.target.value)}
+                className="mr-3"
+              />
+              <div>
+                <span className="font-medium">Surrogate Key (Generated ID)</span>
+                <p className="text-sm text-gray-600">Each distinct combination of the chosen natural-key columns gets a numbered ID (1, 2, 3...)</p>
+              </div>
+            </label>
+            {rawData && (
+              <label className="flex items-center p-3 border rounded-md cursor-pointer hover:bg-gray-50">
+                <input
+                  type="radio"
+                  value="derived"
+                  checked={mappingType === 'derived'}
+                  onChange={(e) => setMappingType(e.target.value)}
+                  className="mr-3"
+                />
+                <div>
+                  <span className="font-medium">Derived (Computed)</span>
+                  <p className="text-sm text-gray-600">Values are computed from other columns (e.g., the first word of a full name, or the year of a date)</p>
+                </div>
+              </label>
+            )}
           </div>
         </div>
 
@@ -215,24 +360,30 @@ export default function ColumnMappingDialog({
         <div className="mb-4">
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Source Columns:
-            {mappingType === 'direct' && (
+            {(mappingType === 'direct' || mappingType === 'split') && (
               <span className="text-xs text-gray-500 ml-2">(Select one)</span>
             )}
             {(mappingType === 'consolidate' || mappingType === 'metadata') && (
               <span className="text-xs text-gray-500 ml-2">(Select multiple)</span>
             )}
+            {mappingType === 'surrogate' && (
+              <span className="text-xs text-gray-500 ml-2">(Select the natural-key column(s))</span>
+            )}
+            {mappingType === 'derived' && (
+              <span className="text-xs text-gray-500 ml-2">(Click to add to the expression)</span>
+            )}
           </label>
           <div className="border border-gray-300 rounded-md p-3 max-h-48 overflow-y-auto">
             {availableCols.length === 0 ? (
               <p className="text-sm text-gray-500 italic">
-                {mappingType === 'direct' 
+                {mappingType === 'direct' || mappingType === 'split'
                   ? 'No unmapped columns available' 
                   : 'No source columns available'}
               </p>
             ) : (
               <div className="space-y-2">
                 {availableCols.map((col) => {
-                  const isSelected = selectedSourceCols.includes(col);
+                  const isSelected = (mappingType === 'derived' ? derivedPreview.columns : selectedSourceCols).includes(col);
                   const isMapped = mappedColsArray.includes(col);
                   const isCrossedOut = crossedOutCols.has(col);
                   return (
@@ -247,12 +398,12 @@ export default function ColumnMappingDialog({
                     >
                       <label className="flex items-center flex-1 cursor-pointer">
                         <input
-                          type={mappingType === 'direct' ? 'radio' : 'checkbox'}
+                          type={mappingType === 'direct' || mappingType === 'split' ? 'radio' : 'checkbox'}
                           checked={isSelected}
                           onChange={() => handleSourceColToggle(col)}
                           disabled={
                             isCrossedOut || 
-                            (mappingType === 'direct' && isMapped && !(isEditing && existingColumn?.sourceCols?.includes(col)))
+                            ((mappingType === 'direct' || mappingType === 'split') && isMapped && !(isEditing && existingColumn?.sourceCols?.includes(col)))
                           }
                           className="mr-2"
                         />
@@ -293,11 +444,112 @@ export default function ColumnMappingDialog({
               ✓ Values from {selectedSourceCols.length} column(s) will be consolidated into separate rows
             </p>
           )}
-          {mappingType === 'metadata' && selectedSourceCols.length > 0 && (
+          {mappingType === 'metadata' && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Value to extract from each column name:
+              </label>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={METADATA_PATTERNS.some(preset => preset.pattern === pattern) ? pattern : 'custom'}
+                  onChange={(e) => {
+                    if (e.target.value !== 'custom') setPattern(e.target.value);
+                  }}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {METADATA_PATTERNS.map(preset => (
+                    <option key={preset.label} value={preset.pattern}>{preset.label}</option>
+                  ))}
+                  <option value="custom">Custom pattern</option>
+                </select>
+                <input
+                  type="text"
+                  value={pattern}
+                  onChange={(e) => setPattern(e.target.value)}
+                  placeholder="Regular expression, e.g. (\d+)"
+                  className="flex-1 min-w-[10rem] px-3 py-1 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                The first ( ) group of the pattern becomes the value; names it doesn't match are kept whole.
+              </p>
+              {patternError && (
+                <p className="mt-1 text-xs text-red-600">{patternError}</p>
+              )}
+              {!patternError && selectedSourceCols.length > 0 && (
+                <p className="mt-2 text-xs text-blue-600">
+                  ✓ Column names will become values: {selectedSourceCols.map(col => {
+                    const name = col.split('.').pop();
+                    return `${name} → ${extractMetadataValue(name, pattern)}`;
+                  }).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+          {mappingType === 'surrogate' && selectedSourceCols.length > 0 && (
             <p className="mt-2 text-xs text-blue-600">
-              ✓ Column names ({selectedSourceCols.join(', ')}) will become values
+              ✓ Each distinct {selectedSourceCols.join(' + ')} gets its own ID. Choose the same column(s) for an FK surrogate in another table to get matching IDs
             </p>
           )}
+          {mappingType === 'derived' && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expression:
+              </label>
+              <textarea
+                value={expression}
+                onChange={(e) => setExpression(e.target.value)}
+                placeholder="e.g., SPLIT_PART(PATIENT_NAME, ' ', 1)"
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {expression.trim() && derivedPreview.error && (
+                <p className="mt-1 text-xs text-red-600">{derivedPreview.error}</p>
+              )}
+              {expression.trim() && !derivedPreview.error && derivedPreview.values.length > 0 && (
+                <div className="mt-2 text-xs text-blue-600 space-y-0.5">
+                  {derivedPreview.values.map((example, idx) => (
+                    <p key={idx}>
+                      ✓ {example.inputs.map(input => `"${input}"`).join(', ')} → "{example.value}"
+                    </p>
+                  ))}
+                </div>
+              )}
+              <details className="mt-2 text-xs text-gray-600">
+                <summary className="cursor-pointer">Expression reference</summary>
+                <p className="mt-1">
+                  Use column names, 'text' in quotes, numbers, + - * / % for arithmetic and &amp; to join text.
+                  Write column names containing spaces in brackets, e.g. [VISIT DATE].
+                </p>
+                <ul className="mt-1 space-y-0.5">
+                  {getExpressionFunctions().map(fn => (
+                    <li key={fn.name}>
+                      <span className="font-mono">{fn.signature}</span> – {fn.description}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            </div>
+          )}
+          {mappingType === 'split' && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Delimiter:
+              </label>
+              <input
+                type="text"
+                value={delimiter}
+                onChange={(e) => setDelimiter(e.target.value)}
+                placeholder="e.g., , or ; or |"
+                className="w-32 px-3 py-1 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {splitExample && (
+                <p className="mt-2 text-xs text-blue-600">
+                  ✓ "{splitExample.cell}" will become {splitExample.values.length} row(s): {splitExample.values.join(' | ')}
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Column Type */}
@@ -350,8 +602,17 @@ export default function ColumnMappingDialog({
               value={foreignKeyTable}
               onChange={(e) => setForeignKeyTable(e.target.value)}
               placeholder="e.g., CUSTOMER"
+              list="fk-table-options"
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
+            <datalist id="fk-table-options">
+              {tables.filter(t => t.id !== tableId && t.name).map(t => (
+                <option key={t.id} value={t.name} />
+              ))}
+            </datalist>
+            <p className="text-xs text-gray-500 mt-1">
+              The referenced table needs a PK column with the same name (or a single-column PK).
+            </p>
           </div>
         )}
 
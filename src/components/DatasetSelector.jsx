@@ -1,5 +1,7 @@
 import React, { useRef } from 'react';
 import { getProgress, isFormCompleted } from '../utils/validator';
+import { getDatasetForms, NORMALIZATION_FORMS, REQUIRED_FORMS } from '../utils/datasetLoader';
+import { parseExpression } from '../utils/expressionEvaluator';
 
 export default function DatasetSelector({ datasets, selectedDataset, onSelectDataset, onDatasetsUpdate }) {
   const [filterDifficulty, setFilterDifficulty] = React.useState('all');
@@ -12,9 +14,9 @@ export default function DatasetSelector({ datasets, selectedDataset, onSelectDat
   
   const progress = getProgress();
   
-  const getDatasetProgress = (datasetId) => {
-    const datasetProgress = progress[datasetId] || {};
-    const forms = ['1NF', '2NF', '3NF'];
+  const getDatasetProgress = (dataset) => {
+    const datasetProgress = progress[dataset.id] || {};
+    const forms = getDatasetForms(dataset);
     const completed = forms.filter(form => datasetProgress[form] === true).length;
     return { completed, total: forms.length, forms };
   };
@@ -37,10 +39,47 @@ export default function DatasetSelector({ datasets, selectedDataset, onSelectDat
       errors.push('rawData.rows must be an array');
     }
     if (!dataset.solutions) errors.push('Missing required field: solutions');
-    if (!dataset.solutions['1NF'] || !dataset.solutions['2NF'] || !dataset.solutions['3NF']) {
+    if (!REQUIRED_FORMS.every(form => dataset.solutions[form])) {
       errors.push('Missing required normalization forms: 1NF, 2NF, and/or 3NF');
     }
-    
+    // Later forms (BCNF, 4NF) are optional, but must have tables if they are provided
+    NORMALIZATION_FORMS.filter(form => !REQUIRED_FORMS.includes(form)).forEach(form => {
+      if (dataset.solutions[form] && !Array.isArray(dataset.solutions[form].tables)) {
+        errors.push(`solutions.${form}.tables must be an array`);
+      }
+    });
+    // Any form may list alternative accepted designs, each with its own tables
+    NORMALIZATION_FORMS.forEach(form => {
+      const alternatives = dataset.solutions[form]?.alternatives;
+      if (alternatives === undefined) return;
+      if (!Array.isArray(alternatives) || alternatives.some(alternative => !Array.isArray(alternative?.tables))) {
+        errors.push(`solutions.${form}.alternatives must be an array of objects with a tables array`);
+      }
+    });
+    // An FK's foreignKeyTable must name a table of the same design
+    NORMALIZATION_FORMS.forEach(form => {
+      const solution = dataset.solutions[form];
+      if (!Array.isArray(solution?.tables)) return;
+      const designs = [solution, ...(Array.isArray(solution.alternatives) ? solution.alternatives : [])];
+      designs.forEach(design => {
+        const tables = Array.isArray(design?.tables) ? design.tables : [];
+        const tableNames = tables.map(table => table.name);
+        tables.forEach(table => (table.columns || []).forEach(col => {
+          if (col.foreignKeyTable && !tableNames.includes(col.foreignKeyTable)) {
+            errors.push(`solutions.${form}: ${table.name}.${col.name} references unknown table ${col.foreignKeyTable}`);
+          }
+          // Derived columns need an expression that parses
+          if (col.mappingType === 'derived') {
+            try {
+              parseExpression(col.expression);
+            } catch (error) {
+              errors.push(`solutions.${form}: ${table.name}.${col.name} has an invalid expression (${error.message})`);
+            }
+          }
+        }));
+      });
+    });
+
     return errors;
   };
 
@@ -188,7 +227,7 @@ export default function DatasetSelector({ datasets, selectedDataset, onSelectDat
                   </div>
                   <p className="text-sm text-gray-600 mt-1">{dataset.description}</p>
                   {(() => {
-                    const { completed, total } = getDatasetProgress(dataset.id);
+                    const { completed, total } = getDatasetProgress(dataset);
                     if (completed > 0) {
                       return (
                         <div className="mt-2 flex items-center gap-2">
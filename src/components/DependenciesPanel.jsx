@@ -0,0 +1,68 @@
+import React, { useMemo, useState } from 'react';
+import { findFunctionalDependencies } from '../utils/dependencyAnalyzer';
+
+// Determinants shown before "show all"
+const DETERMINANTS_SHOWN = 6;
+
+/**
+ * Lists the functional dependencies found in a table's rows, grouped by determinant
+ * and ordered by how many rows back them, so the student can see which columns
+ * travel together and belong in the same table
+ */
+export default function DependenciesPanel({ columns, rows }) {
+  const found = useMemo(() => findFunctionalDependencies(columns, rows), [columns, rows]);
+  const [showAll, setShowAll] = useState(false);
+
+  // One entry per determinant: DEPT_ID → DEPT_NAME, DEPT_HEAD
+  // Dependencies no two rows back up (support 0) hold only because every value is unique
+  const groups = [];
+  found.filter(dependency => dependency.support > 0).forEach(dependency => {
+    const label = dependency.determinant.length > 1
+      ? `{${dependency.determinant.join(', ')}}`
+      : dependency.determinant[0];
+    let group = groups.find(g => g.label === label);
+    if (!group) {
+      group = { label, dependents: [], support: 0 };
+      groups.push(group);
+    }
+    group.dependents.push(dependency.dependent);
+    group.support = Math.max(group.support, dependency.support);
+  });
+  groups.sort((a, b) => b.support - a.support || b.dependents.length - a.dependents.length);
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 rounded border border-gray-200">
+      <h5 className="text-sm font-semibold text-gray-700 mb-1">Functional Dependencies (from the data)</h5>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No column is determined by one or two other non-key columns in these rows.
+        </p>
+      ) : (
+        <div className="space-y-1">
+          {(showAll ? groups : groups.slice(0, DETERMINANTS_SHOWN)).map(group => (
+            <div key={group.label} className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="px-2 py-0.5 rounded font-medium bg-indigo-100 text-indigo-800">{group.label}</span>
+              <span className="text-gray-500">→</span>
+              <span className="text-gray-700">{group.dependents.join(', ')}</span>
+              <span className="text-gray-400">
+                ({group.support} repeated value{group.support === 1 ? '' : 's'})
+              </span>
+            </div>
+          ))}
+          {groups.length > DETERMINANTS_SHOWN && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="text-xs text-blue-600 hover:text-blue-800 underline"
+            >
+              {showAll ? 'Show fewer' : `Show all ${groups.length} determinants`}
+            </button>
+          )}
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-2 italic">
+        Rows that share the value on the left always agree on the columns on the right. Columns that
+        depend on something other than the whole key belong in a table of their own.
+      </p>
+    </div>
+  );
+}
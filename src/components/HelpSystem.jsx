@@ -1,17 +1,23 @@
 import React, { useState, useEffect } from 'react';
+import { getSolutionAlternatives } from '../utils/validator';
 
 export default function HelpSystem({ solution, currentForm, onGenerateTables }) {
   const [hintLevel, setHintLevel] = useState(0);
   const [showSolution, setShowSolution] = useState(false);
+  const [alternativeIdx, setAlternativeIdx] = useState(0);
 
   // Reset hints when form changes
   useEffect(() => {
     setHintLevel(0);
     setShowSolution(false);
+    setAlternativeIdx(0);
   }, [currentForm, solution]);
 
   if (!solution) return null;
 
+  const alternatives = getSolutionAlternatives(solution);
+  const shownSolution = alternatives[alternativeIdx] || alternatives[0];
+
   const hints = solution.hints || [];
   const maxHints = hints.length;
 
@@ -97,9 +103,27 @@ export default function HelpSystem({ solution, currentForm, onGenerateTables })
 
           {showSolution && (
             <div className="mt-4 space-y-4">
+              {alternatives.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {alternatives.map((alternative, idx) => (
+                    <button
+                      key={idx}
+                      onClick={() => setAlternativeIdx(idx)}
+                      className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                        idx === alternativeIdx
+                          ? 'bg-blue-500 text-white'
+                          : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      {alternative.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               <div className="p-4 bg-blue-50 border-l-4 border-blue-400 rounded">
                 <h5 className="font-semibold text-gray-800 mb-2">Explanation:</h5>
-                <p className="text-sm text-gray-700">{solution.explanation}</p>
+                <p className="text-sm text-gray-700">{shownSolution.explanation}</p>
               </div>
 
               <div className="space-y-4">
@@ -107,14 +131,14 @@ export default function HelpSystem({ solution, currentForm, onGenerateTables })
                   <h5 className="font-semibold text-gray-800">Correct Solution:</h5>
                   {onGenerateTables && (
                     <button
-                      onClick={() => onGenerateTables(solution.tables)}
+                      onClick={() => onGenerateTables(shownSolution.tables)}
                       className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 transition-colors text-sm font-medium"
                     >
                       Generate Tables
                     </button>
                   )}
                 </div>
-                {solution.tables.map((table, idx) => {
+                {shownSolution.tables.map((table, idx) => {
                   // Count PKs and FKs for numbering
                   let pkCount = 0;
                   let fkCount = 0;
@@ -0,0 +1,126 @@
+import React from 'react';
+
+/**
+ * Read-only list of rows, capped at 10 like the other previews
+ */
+function RowsTable({ columns, rows, rowClassName }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full border-collapse border border-gray-300 text-xs bg-white">
+        <thead>
+          <tr className="bg-gray-100">
+            {columns.map((col, colIdx) => (
+              <th key={colIdx} className="border border-gray-300 px-2 py-1 text-left font-semibold text-gray-700">
+                {col}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, 10).map((row, rowIdx) => (
+            <tr key={rowIdx} className={rowClassName}>
+              {row.map((cell, cellIdx) => (
+                <td key={cellIdx} className="border border-gray-300 px-2 py-1 text-gray-700">
+                  {cell || <span className="text-gray-400 italic">(empty)</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > 10 && (
+        <p className="text-xs text-gray-500 mt-1">Showing first 10 of {rows.length} rows</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows the result of joining the user's tables back together
+ * Spurious rows are invented by the join; lost rows are original rows the join can't rebuild
+ */
+export default function LosslessJoinPanel({ joinResult, onVerify, isVerifying = false }) {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-800">Lossless Join</h3>
+        <button
+          onClick={onVerify}
+          disabled={isVerifying}
+          className="px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 transition-colors text-sm font-medium disabled:opacity-60 disabled:cursor-wait"
+        >
+          {isVerifying ? 'Verifying...' : 'Verify lossless join'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600">
+        Joins your saved tables on their PK/FK columns and compares the result with the original data.
+      </p>
+
+      {joinResult && joinResult.error && (
+        <p className="mt-4 text-sm text-yellow-700">{joinResult.error}</p>
+      )}
+
+      {joinResult && !joinResult.error && (
+        <div className="mt-4 space-y-4">
+          <div className={`p-3 rounded border-l-4 ${
+            joinResult.isLossless ? 'bg-green-50 border-green-400' : 'bg-red-50 border-red-400'
+          }`}>
+            <p className={`font-semibold ${joinResult.isLossless ? 'text-green-800' : 'text-red-800'}`}>
+              {joinResult.isLossless
+                ? 'Lossless: joining your tables gives back exactly the original rows.'
+                : 'Not lossless: joining your tables does not give back the original rows.'}
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              Join order: {joinResult.joinOrder.map(step =>
+                step.joinColumns.length > 0 ? `${step.table} (on ${step.joinColumns.join(', ')})` : step.table
+              ).join(' ⋈ ')}
+            </p>
+            <p className="text-xs text-gray-600">
+              {joinResult.joinedRowCount} joined row(s) vs {joinResult.referenceRowCount} original row(s),
+              compared on {joinResult.comparedColumns.length} column(s)
+            </p>
+          </div>
+
+          {joinResult.disconnectedTables.length > 0 && (
+            <p className="text-sm text-red-700">
+              These tables share no PK/FK column with the rest, so they can't be joined back:{' '}
+              {joinResult.disconnectedTables.join(', ')}
+            </p>
+          )}
+
+          {joinResult.missingColumns.length > 0 && (
+            <p className="text-sm text-yellow-700">
+              Not in any of your tables (not compared): {joinResult.missingColumns.join(', ')}
+            </p>
+          )}
+
+          {joinResult.spuriousRows.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-red-800 mb-1">
+                Spurious rows ({joinResult.spuriousRows.length})
+              </h4>
+              <p className="text-xs text-gray-600 mb-1">
+                The join produces these rows, but they are not in the original data. A table was
+                probably split on a column that is not a key of either part.
+              </p>
+              <RowsTable columns={joinResult.comparedColumns} rows={joinResult.spuriousRows} rowClassName="bg-red-50" />
+            </div>
+          )}
+
+          {joinResult.lostRows.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-red-800 mb-1">
+                Lost rows ({joinResult.lostRows.length})
+              </h4>
+              <p className="text-xs text-gray-600 mb-1">
+                These original rows can't be rebuilt from your tables, e.g. because a join value is
+                missing from one side.
+              </p>
+              <RowsTable columns={joinResult.comparedColumns} rows={joinResult.lostRows} rowClassName="bg-yellow-50" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from 'react';
+import { cellKey } from '../utils/valueHelpers';
+
+// Rows per page the student can choose from
+const PAGE_SIZES = [10, 25, 100];
+
+/**
+ * Compare two non-empty cells for sorting: numbers by value, text alphabetically
+ */
+function compareCells(left, right) {
+  const leftNumber = Number(left);
+  const rightNumber = Number(right);
+  if (!Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) return leftNumber - rightNumber;
+  return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Data preview table with a text filter, sortable columns and pagination
+ * The footer counts all rows and the distinct ones, so repeated rows stand out
+ */
+export default function PreviewTable({
+  columns,
+  rows,
+  renderHeader = null,
+  headerClassName = null,
+  cellClassName = null,
+  cellPadding = 'px-3 py-2',
+  columnBands = null // Optional { label, className } per column; neighbours with the same band share a header cell
+}) {
+  const [filter, setFilter] = useState('');
+  const [sort, setSort] = useState(null); // { colIdx, direction: 'asc' | 'desc' }
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+
+  const distinctCount = useMemo(
+    () => new Set(rows.map(row => JSON.stringify(row.map(cellKey)))).size,
+    [rows]
+  );
+
+  // Keep each row's original index so highlighting and keys survive sorting
+  const visibleRows = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    const entries = rows
+      .map((row, rowIdx) => ({ row, rowIdx }))
+      .filter(({ row }) => !query || row.some(cell => cellKey(cell).toLowerCase().includes(query)));
+    if (sort) {
+      const direction = sort.direction === 'asc' ? 1 : -1;
+      entries.sort((a, b) => {
+        const left = cellKey(a.row[sort.colIdx]);
+        const right = cellKey(b.row[sort.colIdx]);
+        // Empty cells stay at the bottom in both directions
+        if (left === '' || right === '') return (left === '') - (right === '') || a.rowIdx - b.rowIdx;
+        return compareCells(left, right) * direction || a.rowIdx - b.rowIdx;
+      });
+    }
+    return entries;
+  }, [rows, filter, sort]);
+
+  // Merge neighbouring columns of the same band into one spanning header cell
+  const bandCells = [];
+  if (columnBands && columnBands.some(Boolean)) {
+    columns.forEach((_, colIdx) => {
+      const band = columnBands[colIdx] || null;
+      const last = bandCells[bandCells.length - 1];
+      if (last && last.band === band) {
+        last.colSpan++;
+      } else {
+        bandCells.push({ band, colSpan: 1 });
+      }
+    });
+  }
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = visibleRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  // Cycle a column through ascending, descending and unsorted
+  const toggleSort = (colIdx) => {
+    if (!sort || sort.colIdx !== colIdx) {
+      setSort({ colIdx, direction: 'asc' });
+    } else if (sort.direction === 'asc') {
+      setSort({ colIdx, direction: 'desc' });
+    } else {
+      setSort(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => {
+            setFilter(e.target.value);
+            setPage(0);
+          }}
+          placeholder="Filter rows..."
+          className="px-2 py-1 border border-gray-300 rounded text-sm w-48 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <label className="text-xs text-gray-600">
+          Rows per page:{' '}
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(0);
+            }}
+            className="border border-gray-300 rounded px-1 py-0.5"
+          >
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            {bandCells.length > 0 && (
+              <tr>
+                {bandCells.map((cell, idx) => (
+                  <th
+                    key={idx}
+                    colSpan={cell.colSpan}
+                    className={`border border-gray-300 px-2 py-1 text-xs font-semibold text-center ${
+                      cell.band ? cell.band.className : 'bg-white'
+                    }`}
+                  >
+                    {cell.band?.label}
+                  </th>
+                ))}
+              </tr>
+            )}
+            <tr className="bg-gray-100">
+              {columns.map((col, colIdx) => (
+                <th
+                  key={colIdx}
+                  onClick={() => toggleSort(colIdx)}
+                  title="Click to sort"
+                  className={`border border-gray-300 ${cellPadding} text-left font-semibold cursor-pointer select-none hover:bg-gray-200 ${
+                    headerClassName ? headerClassName(colIdx) : 'text-gray-700'
+                  }`}
+                >
+                  <div className="flex items-center gap-1">
+                    <div className="flex-1">{renderHeader ? renderHeader(colIdx) : col}</div>
+                    <span className="text-xs text-gray-500 w-3">
+                      {sort?.colIdx === colIdx ? (sort.direction === 'asc' ? '▲' : '▼') : ''}
+                    </span>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(({ row, rowIdx }) => (
+              <tr key={rowIdx} className="hover:bg-gray-50">
+                {row.map((cell, cellIdx) => (
+                  <td
+                    key={cellIdx}
+                    className={`border border-gray-300 ${cellPadding} ${
+                      cellClassName ? cellClassName(cell, cellIdx) : 'text-gray-700'
+                    }`}
+                  >
+                    {cell || <span className="text-gray-400 italic">(empty)</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length} className={`border border-gray-300 ${cellPadding} text-gray-500 italic`}>
+                  No rows match "{filter}".
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-2 text-xs text-gray-600">
+        <span>
+          {rows.length} row{rows.length === 1 ? '' : 's'}, {distinctCount} distinct
+          {filter.trim() && ` · ${visibleRows.length} matching the filter`}
+        </span>
+        {pageCount > 1 && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+              className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              ‹ Prev
+            </button>
+            <span>
+              Rows {currentPage * pageSize + 1}–{Math.min((currentPage + 1) * pageSize, visibleRows.length)} of {visibleRows.length}
+            </span>
+            <button
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+              className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Next ›
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,31 +1,53 @@
-import React from 'react';
-import { generateTableData } from '../utils/dataTransformer';
+import React, { useState, useEffect } from 'react';
+import { generateTableDataAsync } from '../utils/previewClient';
+import CandidateKeysPanel from './CandidateKeysPanel';
+import DependenciesPanel from './DependenciesPanel';
+import PreviewTable from './PreviewTable';
 
 /**
  * Component to display previous form's tables as read-only reference
- * Used when building 2NF (shows 1NF tables) or 3NF (shows 2NF tables)
+ * Used when building 2NF (shows 1NF tables), 3NF (shows 2NF tables), BCNF (shows 3NF tables)
+ * or 4NF (shows the form before it)
  */
-export default function PreviousFormTablesView({ previousFormTables, previousFormName, rawData, previousPreviousFormTables = null }) {
-  if (!previousFormTables || previousFormTables.length === 0) {
-    return null;
-  }
+export default function PreviousFormTablesView({ previousFormTables, previousFormName, rawData, previousPreviousFormTables = null, olderFormTables = [], currentForm = null }) {
+  const [previews, setPreviews] = useState({}); // Rows per table id, filled in as the worker returns them
+
+  // App rebuilds these lists from storage on every render, so previews are only
+  // regenerated when the tables themselves change
+  const formsKey = JSON.stringify([previousFormTables, previousPreviousFormTables, olderFormTables]);
 
   // Generate preview data for each table
   // For 2NF tables (shown in 3NF), we need to regenerate from 1NF tables
+  // For 3NF tables (shown in BCNF), we regenerate from 2NF tables, which come from 1NF tables;
+  // later forms follow the same chain through olderFormTables
   // For 1NF tables (shown in 2NF), we generate from rawData
-  const tablesWithData = previousFormTables.map(table => {
-    let previewData = [];
-    if (table.saved && rawData) {
-      if (previousFormName === '2NF' && previousPreviousFormTables && previousPreviousFormTables.length > 0) {
-        // Regenerate 2NF tables from 1NF tables
-        previewData = generateTableData(table, rawData, previousPreviousFormTables);
-      } else {
-        // Generate 1NF tables from rawData
-        previewData = generateTableData(table, rawData);
-      }
+  useEffect(() => {
+    let isCurrent = true;
+    const tables = (previousFormTables || []).filter(table => table.saved);
+    if (!rawData || tables.length === 0) {
+      setPreviews({});
+      return undefined;
     }
-    return { ...table, previewData };
-  });
+
+    const earlierForms = previousPreviousFormTables && previousPreviousFormTables.length > 0
+      ? [previousPreviousFormTables, ...olderFormTables] // Regenerate the previous form's tables from the form before it
+      : []; // Generate 1NF tables from rawData
+    Promise.all(tables.map(table =>
+      generateTableDataAsync(table, rawData, ...earlierForms).catch(() => [])
+    )).then(results => {
+      if (!isCurrent) return;
+      const rowsById = {};
+      tables.forEach((table, idx) => { rowsById[table.id] = results[idx]; });
+      setPreviews(rowsById);
+    });
+    return () => { isCurrent = false; };
+  }, [formsKey, rawData]);
+
+  if (!previousFormTables || previousFormTables.length === 0) {
+    return null;
+  }
+
+  const tablesWithData = previousFormTables.map(table => ({ ...table, previewData: previews[table.id] || [] }));
 
   return (
     <div className="bg-blue-50 rounded-lg shadow-md p-6 mb-6 border-2 border-blue-300">
@@ -34,7 +56,7 @@ export default function PreviousFormTablesView({ previousFormTables, previousFor
           Your {previousFormName} Tables (Starting Point)
         </h3>
         <p className="text-sm text-gray-600 mt-1">
-          These are your completed {previousFormName} tables. Build your {previousFormName === '1NF' ? '2NF' : '3NF'} tables based on these.
+          These are your completed {previousFormName} tables. Build your {currentForm || (previousFormName === '1NF' ? '2NF' : '3NF')} tables based on these.
         </p>
       </div>
 
@@ -52,54 +74,33 @@ export default function PreviousFormTablesView({ previousFormTables, previousFor
                     Data Preview ({table.previewData.length} rows):
                   </h5>
                 </div>
-                <div className="overflow-x-auto">
-                  <table className="min-w-full border-collapse border border-gray-300 text-sm">
-                    <thead>
-                      <tr className="bg-gray-100">
-                        {table.columns.map((col, idx) => {
-                          let label = null;
-                          if (col.type === 'PK') {
-                            label = 'PK';
-                          } else if (col.type === 'FK') {
-                            label = 'FK';
-                          }
-                          return (
-                            <th
-                              key={idx}
-                              className="border border-gray-300 px-3 py-2 text-left font-semibold text-gray-700"
-                            >
-                              <div className="flex items-center gap-1">
-                                <span>{col.name}</span>
-                                {label && (
-                                  <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
-                                    col.type === 'PK' ? 'bg-green-100 text-green-800' :
-                                    'bg-blue-100 text-blue-800'
-                                  }`}>
-                                    {label}
-                                  </span>
-                                )}
-                              </div>
-                            </th>
-                          );
-                        })}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {table.previewData.map((row, rowIdx) => (
-                        <tr key={rowIdx} className="hover:bg-gray-50">
-                          {row.map((cell, cellIdx) => (
-                            <td
-                              key={cellIdx}
-                              className="border border-gray-300 px-3 py-2 text-gray-700"
-                            >
-                              {cell || <span className="text-gray-400 italic">(empty)</span>}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                    </table>
-                </div>
+                <PreviewTable
+                  columns={table.columns.map(col => col.name)}
+                  rows={table.previewData}
+                  renderHeader={(idx) => {
+                    const col = table.columns[idx];
+                    const label = col.type === 'PK' || col.type === 'FK' ? col.type : null;
+                    return (
+                      <div className="flex items-center gap-1">
+                        <span>{col.name}</span>
+                        {label && (
+                          <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                            col.type === 'PK' ? 'bg-green-100 text-green-800' :
+                            'bg-blue-100 text-blue-800'
+                          }`}>
+                            {label}
+                          </span>
+                        )}
+                      </div>
+                    );
+                  }}
+                />
+                <CandidateKeysPanel
+                  columns={table.columns.map(col => col.name)}
+                  rows={table.previewData}
+                  primaryKey={table.columns.filter(col => col.type === 'PK').map(col => col.name)}
+                />
+                <DependenciesPanel columns={table.columns.map(col => col.name)} rows={table.previewData} />
               </div>
             )}
           </div>
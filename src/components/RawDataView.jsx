@@ -1,12 +1,40 @@
 import React from 'react';
+import CandidateKeysPanel from './CandidateKeysPanel';
+import DependenciesPanel from './DependenciesPanel';
+import PreviewTable from './PreviewTable';
+import { detectRepeatingGroups } from '../utils/repeatingGroups';
+import { normalizeName } from '../utils/valueHelpers';
+import { findNonAtomicValues, checkCellAtomicity, NON_ATOMIC_KIND_LABELS } from '../utils/atomicityChecker';
 
-export default function RawDataView({ rawData, mappedColumns = [], mappingStats = null }) {
+// Header band colors for the repeating groups, reused in order
+const GROUP_BAND_CLASSES = [
+  'bg-amber-100 text-amber-800',
+  'bg-purple-100 text-purple-800',
+  'bg-sky-100 text-sky-800',
+  'bg-rose-100 text-rose-800'
+];
+
+export default function RawDataView({ rawData, mappedColumns = [], mappingStats = null, onCreateTable = null }) {
   if (!rawData) return null;
 
-  const normalizeColName = (name) => name.trim().toLowerCase().replace(/\s+/g, '_');
+  const repeatingGroups = detectRepeatingGroups(rawData.columns);
+  const nonAtomicFindings = findNonAtomicValues(rawData.columns, rawData.rows);
+  const getNonAtomicFinding = (colIdx) => nonAtomicFindings.find(finding => finding.colIdx === colIdx);
+  // One band per repetition of each group, so TREATMENT1..., TREATMENT2... get their own header cells
+  const columnBands = rawData.columns.map(() => null);
+  repeatingGroups.forEach((group, groupIdx) => {
+    const className = GROUP_BAND_CLASSES[groupIdx % GROUP_BAND_CLASSES.length];
+    group.indices.forEach((index, indexIdx) => {
+      const band = { label: `${group.name} ${index}`, className };
+      group.fields.forEach(field => {
+        columnBands[rawData.columns.indexOf(field.columns[indexIdx])] = band;
+      });
+    });
+  });
+
   const isMapped = (colName) => {
-    const normalized = normalizeColName(colName);
-    return Array.from(mappedColumns).some(mapped => normalizeColName(mapped) === normalized);
+    const normalized = normalizeName(colName);
+    return Array.from(mappedColumns).some(mapped => normalizeName(mapped) === normalized);
   };
 
   return (
@@ -30,57 +58,94 @@ export default function RawDataView({ rawData, mappedColumns = [], mappingStats
         )}
       </div>
       
-      <div className="overflow-x-auto">
-        <table className="min-w-full border-collapse border border-gray-300">
-          <thead>
-            <tr className="bg-gray-100">
-              {rawData.columns.map((col, idx) => {
-                const mapped = isMapped(col);
-                return (
-                  <th
-                    key={idx}
-                    className={`border border-gray-300 px-4 py-2 text-left text-sm font-semibold ${
-                      mapped 
-                        ? 'bg-green-50 text-green-800 border-green-300' 
-                        : 'text-gray-700'
-                    }`}
+      <PreviewTable
+        columns={rawData.columns}
+        rows={rawData.rows}
+        cellPadding="px-4 py-2"
+        columnBands={columnBands}
+        headerClassName={(idx) => (
+          isMapped(rawData.columns[idx]) ? 'bg-green-50 text-green-800 border-green-300' : 'text-gray-700'
+        )}
+        renderHeader={(idx) => (
+          <div className="flex items-center gap-2">
+            {rawData.columns[idx]}
+            {isMapped(rawData.columns[idx]) && (
+              <span className="text-xs bg-green-200 text-green-800 px-1.5 py-0.5 rounded">
+                ✓ Mapped
+              </span>
+            )}
+            {getNonAtomicFinding(idx) && (
+              <span
+                className="text-xs bg-orange-200 text-orange-800 px-1.5 py-0.5 rounded"
+                title={`Holds ${NON_ATOMIC_KIND_LABELS[getNonAtomicFinding(idx).kind]}`}
+              >
+                ⚠ Not atomic
+              </span>
+            )}
+          </div>
+        )}
+        cellClassName={(cell, cellIdx) => (
+          getNonAtomicFinding(cellIdx) && checkCellAtomicity(cell)
+            ? 'bg-orange-50 text-orange-900 border-orange-200'
+            : isMapped(rawData.columns[cellIdx]) ? 'bg-green-50 text-green-900 border-green-200' : 'text-gray-700'
+        )}
+      />
+
+      {nonAtomicFindings.length > 0 && (
+        <div className="mt-4 p-4 bg-orange-50 border border-orange-200 rounded-md">
+          <h4 className="font-semibold text-orange-900 mb-1">Non-Atomic Values</h4>
+          <p className="text-sm text-orange-800 mb-3">
+            In 1NF every cell holds a single value. These columns pack several values into one cell.
+          </p>
+          <ul className="space-y-1 text-sm">
+            {nonAtomicFindings.map(finding => (
+              <li key={finding.colIdx} className="flex flex-wrap items-center gap-1">
+                <span className="font-semibold text-orange-900">
+                  {finding.column}: {NON_ATOMIC_KIND_LABELS[finding.kind]} in {finding.count} row{finding.count === 1 ? '' : 's'}, e.g.
+                </span>
+                {finding.examples.map((value, valueIdx) => (
+                  <span key={valueIdx} className="px-1.5 py-0.5 rounded bg-orange-100 text-orange-900 font-mono text-xs">
+                    {value}
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {repeatingGroups.length > 0 && (
+        <div className="mt-4 p-4 bg-amber-50 border border-amber-200 rounded-md">
+          <h4 className="font-semibold text-amber-900 mb-1">Repeating Groups</h4>
+          <p className="text-sm text-amber-800 mb-3">
+            These columns repeat the same fields with a number. 1NF stores each repetition as its own row instead.
+          </p>
+          <div className="space-y-2">
+            {repeatingGroups.map((group, groupIdx) => (
+              <div key={`${groupIdx}-${group.name}`} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <div>
+                  <span className={`px-2 py-0.5 rounded font-medium ${GROUP_BAND_CLASSES[groupIdx % GROUP_BAND_CLASSES.length]}`}>
+                    {group.name} ×{group.indices.length}
+                  </span>{' '}
+                  <span className="text-gray-700">{group.fields.map(field => field.name).join(', ')}</span>
+                </div>
+                {onCreateTable && (
+                  <button
+                    onClick={() => onCreateTable(group, repeatingGroups)}
+                    className="px-3 py-1 bg-amber-600 text-white rounded-md hover:bg-amber-700 transition-colors text-sm"
+                    title="Add a table that consolidates this group into one row per repetition"
                   >
-                    <div className="flex items-center gap-2">
-                      {col}
-                      {mapped && (
-                        <span className="text-xs bg-green-200 text-green-800 px-1.5 py-0.5 rounded">
-                          ✓ Mapped
-                        </span>
-                      )}
-                    </div>
-                  </th>
-                );
-              })}
-            </tr>
-          </thead>
-          <tbody>
-            {rawData.rows.map((row, rowIdx) => (
-              <tr key={rowIdx} className="hover:bg-gray-50">
-                {row.map((cell, cellIdx) => {
-                  const mapped = isMapped(rawData.columns[cellIdx]);
-                  return (
-                    <td
-                      key={cellIdx}
-                      className={`border border-gray-300 px-4 py-2 text-sm ${
-                        mapped 
-                          ? 'bg-green-50 text-green-900 border-green-200' 
-                          : 'text-gray-700'
-                      }`}
-                    >
-                      {cell || <span className="text-gray-400 italic">(empty)</span>}
-                    </td>
-                  );
-                })}
-              </tr>
+                    Create consolidated table
+                  </button>
+                )}
+              </div>
             ))}
-          </tbody>
-        </table>
-      </div>
+          </div>
+        </div>
+      )}
+
+      <CandidateKeysPanel columns={rawData.columns} rows={rawData.rows} />
+      <DependenciesPanel columns={rawData.columns} rows={rawData.rows} />
       
       <div className="mt-4">
         <p className="text-sm text-gray-600 italic">
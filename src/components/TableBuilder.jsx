@@ -1,12 +1,19 @@
 import React, { useState, useRef, useEffect } from 'react';
 import ColumnMappingDialog from './ColumnMappingDialog';
-import { generateTableData, getMappedColumns, getAvailableSourceColumns } from '../utils/dataTransformer';
+import PreviewTable from './PreviewTable';
+import { getMappedColumns, getAvailableSourceColumns, DEFAULT_SPLIT_DELIMITER } from '../utils/dataTransformer';
+import { generateTableDataAsync } from '../utils/previewClient';
+import { checkReferentialIntegrity, findReferencedColumn } from '../utils/referentialIntegrity';
 
-export default function TableBuilder({ tables, onTablesChange, rawData, previousFormTables = null, currentForm = '1NF', previousFormName = null, previousPreviousFormTables = null }) {
+export default function TableBuilder({ tables, onTablesChange, rawData, previousFormTables = null, currentForm = '1NF', previousFormName = null, previousPreviousFormTables = null, olderFormTables = [] }) {
   const [dialogOpen, setDialogOpen] = useState(false);
   const [currentTableId, setCurrentTableId] = useState(null);
   const [editingColumnIndex, setEditingColumnIndex] = useState(null); // Track which column is being edited
   const [previewData, setPreviewData] = useState({});
+  const [pendingPreviews, setPendingPreviews] = useState(() => new Set()); // Table ids whose preview is computing
+  const previewRequestsRef = useRef({}); // Latest preview request per table id, so stale results are dropped
+  const tablesRef = useRef(tables);
+  tablesRef.current = tables; // Delayed preview requests read the latest tables, not the ones they were scheduled with
   
   // Initialize savedTables from tables that have saved property
   const [savedTables, setSavedTables] = useState(() => {
@@ -33,7 +40,7 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
   useEffect(() => {
     // Regenerate previews for all saved tables when tables change
     tables.forEach(table => {
-      if (table.saved && !previewData[table.id]) {
+      if (table.saved && !previewData[table.id] && !pendingPreviews.has(table.id)) {
         generatePreviewForTable(table.id);
       }
     });
@@ -192,8 +199,18 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
     // But the source data for new tables comes from previousFormTables
     if (!rawData && !previousFormTables) return;
   
-    const table = tables.find(t => t.id === tableId);
+    const requestId = (previewRequestsRef.current[tableId] || 0) + 1;
+    previewRequestsRef.current[tableId] = requestId;
+    const isLatestRequest = () => previewRequestsRef.current[tableId] === requestId;
+    const clearPending = () => setPendingPreviews(prev => {
+      const next = new Set(prev);
+      next.delete(tableId);
+      return next;
+    });
+
+    const table = tablesRef.current.find(t => t.id === tableId);
     if (!table || !table.columns || table.columns.length === 0) {
+      clearPending();
       setPreviewData(prev => {
         const newPreview = { ...prev };
         delete newPreview[tableId];
@@ -208,16 +225,34 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
     );
   
     if (!hasValidMappings) {
+      clearPending();
       return; // Don't generate preview if mappings are incomplete
     }
   
     // Use previousFormTables if available (for 2NF/3NF), otherwise use rawData (for 1NF)
     // For 3NF, also pass previousPreviousFormTables (1NF) to generate 2NF from 1NF
-    const data = generateTableData(table, rawData, previousFormTables, previousPreviousFormTables);
-    setPreviewData(prev => ({
-      ...prev,
-      [tableId]: data
-    }));
+    // For BCNF/4NF, olderFormTables carries the rest of the chain back to 1NF
+    // The preview is computed in a worker; only the latest request for a table is shown
+    setPendingPreviews(prev => new Set(prev).add(tableId));
+    generateTableDataAsync(table, rawData, previousFormTables, previousPreviousFormTables, ...olderFormTables)
+      .then(data => {
+        if (!isLatestRequest()) return;
+        setPreviewData(prev => ({
+          ...prev,
+          [tableId]: data
+        }));
+      })
+      .catch(() => {
+        if (!isLatestRequest()) return;
+        setPreviewData(prev => {
+          const newPreview = { ...prev };
+          delete newPreview[tableId];
+          return newPreview;
+        });
+      })
+      .finally(() => {
+        if (isLatestRequest()) clearPending();
+      });
   };
 
 
@@ -232,7 +267,13 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
       case 'consolidate':
         return `← consolidates from ${column.sourceCols.join(', ')}`;
       case 'metadata':
-        return `← uses names of ${column.sourceCols.join(', ')}`;
+        return `← uses names of ${column.sourceCols.join(', ')}${column.pattern ? ` (extracting /${column.pattern}/)` : ''}`;
+      case 'split':
+        return `← splits ${column.sourceCols[0]} on "${column.delimiter || DEFAULT_SPLIT_DELIMITER}"`;
+      case 'derived':
+        return `← computed as ${column.expression}`;
+      case 'surrogate':
+        return `← generated ID for each ${column.sourceCols.join(' + ')}`;
       default:
         return '';
     }
@@ -242,11 +283,11 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
     const table = tables.find(t => t.id === tableId);
     if (!table) return [];
     
-    // Only return columns that are used in "direct" mappings
+    // Only return columns that are used in "direct" or "split" mappings
     // Consolidation and metadata mappings can reuse the same source columns
     const directMappedCols = new Set();
     table.columns.forEach(col => {
-      if (col.mappingType === 'direct' && col.sourceCols && col.sourceCols.length > 0) {
+      if ((col.mappingType === 'direct' || col.mappingType === 'split') && col.sourceCols && col.sourceCols.length > 0) {
         col.sourceCols.forEach(sourceCol => {
           directMappedCols.add(sourceCol);
         });
@@ -312,7 +353,29 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
 
       {tables.map((table) => {
         const tablePreview = previewData[table.id] || [];
+        const isPreviewPending = pendingPreviews.has(table.id);
         const mappedCols = getMappedColsForTable(table.id);
+        // FK values with no matching PK value in the referenced table's preview
+        const referentialIssues = isTableSaved(table.id)
+          ? checkReferentialIntegrity(table, tablePreview, tables, previewData)
+          : [];
+        const isOrphanedCell = (cell, cellIdx) => referentialIssues.some(issue =>
+          issue.column === table.columns[cellIdx]?.name && issue.orphanedValues.includes(String(cell).trim())
+        );
+        // Numbered key labels for the preview header (PK, PK2, FK, FK2, ...)
+        let pkCount = 0;
+        let fkCount = 0;
+        const keyLabels = table.columns.map(col => {
+          if (col.type === 'PK') {
+            pkCount++;
+            return pkCount > 1 ? `PK${pkCount}` : 'PK';
+          }
+          if (col.type === 'FK') {
+            fkCount++;
+            return fkCount > 1 ? `FK${fkCount}` : 'FK';
+          }
+          return null;
+        });
 
         return (
           <div key={table.id} className="bg-white rounded-lg shadow-md p-6 border-2 border-gray-200">
@@ -431,6 +494,7 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
                             'bg-gray-100 text-gray-800'
                           }`}>
                             {column.type}
+                            {column.type === 'FK' && column.foreignKeyTable && ` → ${column.foreignKeyTable}`}
                           </span>
                         </div>
                         <p className="text-xs text-gray-600 italic break-words">
@@ -472,67 +536,69 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
               <div className="mt-6 border-t pt-4">
                 <div className="flex items-center justify-between mb-3">
                   <h4 className="font-semibold text-gray-800">Data Preview ({tablePreview.length} rows):</h4>
+                  {isPreviewPending && (
+                    <span className="text-xs text-gray-500 italic animate-pulse">Updating preview…</span>
+                  )}
                 </div>
-                <div className="overflow-x-auto">
-                  <table className="min-w-full border-collapse border border-gray-300 text-sm">
-                    <thead>
-                      <tr className="bg-gray-100">
-                        {(() => {
-                          // Count PKs and FKs for numbering
-                          let pkCount = 0;
-                          let fkCount = 0;
-                          return table.columns.map((col, idx) => {
-                            let label = null;
-                            if (col.type === 'PK') {
-                              pkCount++;
-                              label = pkCount > 1 ? `PK${pkCount}` : 'PK';
-                            } else if (col.type === 'FK') {
-                              fkCount++;
-                              label = fkCount > 1 ? `FK${fkCount}` : 'FK';
-                            }
-                            return (
-                              <th
-                                key={idx}
-                                className="border border-gray-300 px-3 py-2 text-left font-semibold text-gray-700"
-                              >
-                                <div className="flex items-center gap-1">
-                                  <span>{col.name}</span>
-                                  {label && (
-                                    <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
-                                      col.type === 'PK' ? 'bg-green-100 text-green-800' :
-                                      'bg-blue-100 text-blue-800'
-                                    }`}>
-                                      {label}
-                                    </span>
-                                  )}
+                <div className={`transition-opacity ${isPreviewPending ? 'opacity-50' : ''}`}>
+                  <PreviewTable
+                    columns={table.columns.map(col => col.name)}
+                    rows={tablePreview}
+                    renderHeader={(idx) => {
+                      const col = table.columns[idx];
+                      const label = keyLabels[idx];
+                      return (
+                        <>
+                          <div className="flex items-center gap-1">
+                            <span>{col.name}</span>
+                            {label && (
+                              <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                                col.type === 'PK' ? 'bg-green-100 text-green-800' :
+                                'bg-blue-100 text-blue-800'
+                              }`}>
+                                {label}
+                              </span>
+                            )}
+                          </div>
+                          {col.type === 'FK' && (() => {
+                            const reference = findReferencedColumn(col, table, tables);
+                            if (reference) {
+                              return (
+                                <div className="text-xs font-normal text-blue-700">
+                                  → {reference.table.name}.{reference.column.name}
                                 </div>
-                              </th>
-                            );
-                          });
-                        })()}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {tablePreview.slice(0, 10).map((row, rowIdx) => (
-                        <tr key={rowIdx} className="hover:bg-gray-50">
-                          {row.map((cell, cellIdx) => (
-                            <td
-                              key={cellIdx}
-                              className="border border-gray-300 px-3 py-2 text-gray-700"
-                            >
-                              {cell || <span className="text-gray-400 italic">(empty)</span>}
-                            </td>
-                          ))}
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                  {tablePreview.length > 10 && (
-                    <p className="text-xs text-gray-500 mt-2">
-                      Showing first 10 of {tablePreview.length} rows
-                    </p>
-                  )}
+                              );
+                            }
+                            return col.foreignKeyTable ? (
+                              <div className="text-xs font-normal text-red-700" title="No table with this name has a matching PK column">
+                                → {col.foreignKeyTable} (no matching PK)
+                              </div>
+                            ) : null;
+                          })()}
+                        </>
+                      );
+                    }}
+                    cellClassName={(cell, cellIdx) =>
+                      isOrphanedCell(cell, cellIdx) ? 'bg-red-100 text-red-900 font-medium' : 'text-gray-700'
+                    }
+                  />
                 </div>
+                {referentialIssues.length > 0 && (
+                  <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded space-y-1">
+                    {referentialIssues.map((issue, issueIdx) => (
+                      <p key={issueIdx} className="text-sm text-red-800">
+                        FK {issue.column} has values not found in {issue.referencedTable}.{issue.referencedColumn}:{' '}
+                        <span className="font-mono">{issue.orphanedValues.join(', ')}</span>
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {isTableSaved(table.id) && isPreviewPending && tablePreview.length === 0 && (
+              <div className="mt-6 border-t pt-4">
+                <p className="text-sm text-gray-500 italic animate-pulse">Generating data preview…</p>
               </div>
             )}
 
@@ -563,6 +629,7 @@ export default function TableBuilder({ tables, onTablesChange, rawData, previous
           : null}
         tableId={currentTableId}
         tables={tables}
+        rawData={previousFormTables && previousFormTables.length > 0 ? null : rawData}
         onTablesChange={onTablesChange}
       />
     </div>
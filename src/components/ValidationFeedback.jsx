@@ -1,24 +1,34 @@
 import React from 'react';
+import { formatDependency } from '../utils/dependencyAnalyzer';
+import { ISSUE_CODES, formatIssue } from '../utils/validator';
+import { NON_ATOMIC_KIND_LABELS } from '../utils/atomicityChecker';
 
-export default function ValidationFeedback({ validationResult, onCheckAnswer }) {
+// Labels for the parts of the partial-credit score
+const SCORE_PART_LABELS = {
+  tableCoverage: 'Table coverage',
+  keyCorrectness: 'Key correctness',
+  mappingCorrectness: 'Mapping correctness'
+};
+
+export default function ValidationFeedback({ validationResult, onCheckAnswer, isChecking = false }) {
   if (!validationResult) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
         <button
           onClick={onCheckAnswer}
-          className="w-full px-6 py-3 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors font-semibold text-lg"
+          disabled={isChecking}
+          className="w-full px-6 py-3 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors font-semibold text-lg disabled:opacity-60 disabled:cursor-wait"
         >
-          Check Answer
+          {isChecking ? 'Checking...' : 'Check Answer'}
         </button>
       </div>
     );
   }
 
-  const { isValid, errors, warnings, tableDetails } = validationResult;
+  const { isValid, errors, warnings, tableDetails, dependencyPreservation, matchedAlternative, score } = validationResult;
   
   // Check if the error is about unsaved tables
-  const unsavedTablesError = errors && errors.length > 0 && 
-    errors.some(err => err.includes('save all tables') || err.includes('need to be saved'));
+  const unsavedTablesError = errors && errors.some(err => err.code === ISSUE_CODES.UNSAVED_TABLES);
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6 mb-6">
@@ -62,6 +72,56 @@ export default function ValidationFeedback({ validationResult, onCheckAnswer })
         </div>
       </div>
 
+      {score && (
+        <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="flex items-baseline justify-between mb-2">
+            <h4 className="font-semibold text-gray-800">Score</h4>
+            <span className={`text-2xl font-bold ${
+              score.total >= 80 ? 'text-green-700' : score.total >= 50 ? 'text-yellow-700' : 'text-red-700'
+            }`}>
+              {score.total} / {score.maxTotal}
+            </span>
+          </div>
+          <div className="space-y-1">
+            {Object.entries(score.breakdown).map(([part, partScore]) => (
+              <div key={part} className="flex items-center gap-3 text-sm">
+                <span className="w-40 text-gray-700">{SCORE_PART_LABELS[part]}</span>
+                <div className="flex-1 h-2 bg-gray-200 rounded">
+                  <div
+                    className="h-2 bg-blue-500 rounded"
+                    style={{ width: `${(partScore.earned / partScore.max) * 100}%` }}
+                  />
+                </div>
+                <span className="w-32 text-right text-gray-600">
+                  {partScore.earned}/{partScore.max} ({partScore.correct} of {partScore.total})
+                </span>
+              </div>
+            ))}
+            {score.extraColumns.penalty > 0 && (
+              <div className="flex items-center gap-3 text-sm">
+                <span className="w-40 text-gray-700">Extra columns</span>
+                <span className="flex-1 text-gray-500">{score.extraColumns.count} not in the solution</span>
+                <span className="w-32 text-right text-red-700">−{score.extraColumns.penalty}</span>
+              </div>
+            )}
+            {score.dataIssues?.penalty > 0 && (
+              <div className="flex items-center gap-3 text-sm">
+                <span className="w-40 text-gray-700">Data issues</span>
+                <span className="flex-1 text-gray-500">{score.dataIssues.count} error(s) in the generated rows</span>
+                <span className="w-32 text-right text-red-700">−{score.dataIssues.penalty}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {matchedAlternative && (
+        <p className="text-sm text-gray-600 mb-4">
+          This form accepts {matchedAlternative.count} designs. Your tables were checked against the
+          closest one: <span className="font-semibold">{matchedAlternative.name}</span>.
+        </p>
+      )}
+
       {errors && errors.length > 0 && (
         <div className="mb-4">
           <h4 className="font-semibold text-gray-800 mb-2">Issues:</h4>
@@ -70,7 +130,7 @@ export default function ValidationFeedback({ validationResult, onCheckAnswer })
               <li key={errIdx} className={`text-sm ${
                 unsavedTablesError ? 'text-yellow-700 font-medium' : 'text-red-700'
               }`}>
-                {error}
+                {formatIssue(error)}
               </li>
             ))}
           </ul>
@@ -99,28 +159,146 @@ export default function ValidationFeedback({ validationResult, onCheckAnswer })
                 {detail.errors.length > 0 && (
                   <ul className="list-disc list-inside ml-2 text-sm text-red-700">
                     {detail.errors.map((error, errIdx) => (
-                      <li key={errIdx}>{error}</li>
+                      <li key={errIdx}>{error.message}</li>
                     ))}
                   </ul>
                 )}
                 {detail.warnings.length > 0 && (
                   <ul className="list-disc list-inside ml-2 text-sm text-yellow-700">
                     {detail.warnings.map((warning, warnIdx) => (
-                      <li key={warnIdx}>{warning}</li>
+                      <li key={warnIdx}>{warning.message}</li>
                     ))}
                   </ul>
                 )}
+                {detail.referentialIssues && detail.referentialIssues.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {detail.referentialIssues.map((issue, issueIdx) => (
+                      <div key={issueIdx} className="flex flex-wrap items-center gap-1 text-xs">
+                        <span className="font-semibold text-red-800">
+                          {issue.column} → {issue.referencedTable}.{issue.referencedColumn}, orphaned:
+                        </span>
+                        {issue.orphanedValues.map((value, valueIdx) => (
+                          <span key={valueIdx} className="px-1.5 py-0.5 rounded bg-red-100 text-red-900 font-mono">
+                            {value}
+                          </span>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {detail.atomicityIssues && detail.atomicityIssues.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {detail.atomicityIssues.map((issue, issueIdx) => (
+                      <div key={issueIdx} className="flex flex-wrap items-center gap-1 text-xs">
+                        <span className={`font-semibold ${issue.kind === 'composite' ? 'text-yellow-800' : 'text-red-800'}`}>
+                          {issue.column}, {NON_ATOMIC_KIND_LABELS[issue.kind]}:
+                        </span>
+                        {issue.examples.map((value, valueIdx) => (
+                          <span
+                            key={valueIdx}
+                            className={`px-1.5 py-0.5 rounded font-mono ${
+                              issue.kind === 'composite' ? 'bg-yellow-100 text-yellow-900' : 'bg-red-100 text-red-900'
+                            }`}
+                          >
+                            {value}
+                          </span>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {detail.dependencyIssues && detail.dependencyIssues.length > 0 && (
+                  <div className="mt-3 space-y-3">
+                    {detail.dependencyIssues.map((issue, issueIdx) => {
+                      const isError = issue.severity === 'error';
+                      const highlightCell = isError ? 'bg-red-100 text-red-900 font-medium' : 'bg-yellow-100 text-yellow-900 font-medium';
+                      return (
+                        <div key={issueIdx}>
+                          <p className={`text-xs font-semibold mb-1 ${isError ? 'text-red-800' : 'text-yellow-800'}`}>
+                            {issue.type === 'transitive'
+                              ? `${issue.column}: transitive dependency via ${issue.determinant.join(', ')}`
+                              : issue.type === 'bcnf'
+                                ? `${issue.column}: key column determined by non-key ${issue.determinant.join(', ')} (BCNF)`
+                                : issue.type === 'multivalued'
+                                  ? `${issue.column}: multivalued fact of ${issue.determinant.join(', ')}, independent of ${issue.independent.join(', ')} (4NF)`
+                                  : `${issue.column}: partial dependency on ${issue.determinant.join(', ')}`}
+                          </p>
+                          <div className="overflow-x-auto">
+                            <table className="min-w-full border-collapse border border-gray-300 text-xs bg-white">
+                              <thead>
+                                <tr className="bg-gray-100">
+                                  {issue.columns.map((col, colIdx) => (
+                                    <th
+                                      key={colIdx}
+                                      className={`border border-gray-300 px-2 py-1 text-left font-semibold ${
+                                        issue.highlightColumns.includes(col) ? highlightCell : 'text-gray-700'
+                                      }`}
+                                    >
+                                      {col}
+                                    </th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {issue.rows.map((row, rowIdx) => (
+                                  <tr key={rowIdx} className={isError ? 'bg-red-50' : 'bg-yellow-50'}>
+                                    {row.map((cell, cellIdx) => (
+                                      <td
+                                        key={cellIdx}
+                                        className={`border border-gray-300 px-2 py-1 ${
+                                          issue.highlightColumns.includes(issue.columns[cellIdx]) ? highlightCell : 'text-gray-700'
+                                        }`}
+                                      >
+                                        {cell || <span className="text-gray-400 italic">(empty)</span>}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                          <p className="text-xs text-gray-600 mt-1">
+                            {issue.type === 'multivalued'
+                              ? `For the same ${issue.determinant.join(', ')} value, every ${issue.column} appears with every ${issue.independent.join(', ')}, so adding one ${issue.column} means adding a row for each ${issue.independent.join(', ')}.`
+                              : `These rows repeat the same ${issue.determinant.join(', ')} value, and ${issue.column} is repeated along with it.`}
+                          </p>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
             ))}
           </div>
         </div>
       )}
 
+      {dependencyPreservation && (
+        <div className="mb-4">
+          <h4 className="font-semibold text-gray-800 mb-2">Dependency Preservation:</h4>
+          <p className="text-sm text-gray-700">
+            {dependencyPreservation.preserved.length} dependenc{dependencyPreservation.preserved.length === 1 ? 'y' : 'ies'} enforced within a single table
+            {dependencyPreservation.implied.length > 0 && `, ${dependencyPreservation.implied.length} implied by others`}
+            {dependencyPreservation.lost.length > 0 && `, ${dependencyPreservation.lost.length} lost`}.
+          </p>
+          {dependencyPreservation.lost.length > 0 && (
+            <ul className="list-disc list-inside ml-2 mt-1 text-sm text-yellow-700">
+              {dependencyPreservation.lost.map((dependency, depIdx) => (
+                <li key={depIdx}>
+                  {formatDependency(dependency)}: no table holds {[...dependency.determinant, dependency.dependent].join(', ')} together
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <button
         onClick={onCheckAnswer}
-        className="w-full px-6 py-3 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors font-semibold"
+        disabled={isChecking}
+        className="w-full px-6 py-3 bg-blue-500 text-white rounded-md hover:bg-blue-600 transition-colors font-semibold disabled:opacity-60 disabled:cursor-wait"
       >
-        Check Answer Again
+        {isChecking ? 'Checking...' : 'Check Answer Again'}
       </button>
     </div>
   );
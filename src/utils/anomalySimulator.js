@@ -0,0 +1,367 @@
+/**
+ * Anomaly Simulator Utility
+ * Replays an insert, update or delete against the raw (0NF) table and against the
+ * user's normalized tables, and reports the anomalies each side suffers.
+ * Both sides are described as "views" whose columns carry their 1NF column name
+ * (origin), so one set of functional dependencies applies to both
+ */
+
+import { generateTableData } from './dataTransformer';
+import { resolveOriginColumnName } from './joinVerifier';
+import { normalizeName, cellKey } from './valueHelpers';
+
+/**
+ * Build the view of the raw table
+ * Each raw column is traced to the 1NF column it feeds. Columns of a repeating group
+ * (COURSE1, COURSE2 → COURSE) get a slot number so COURSE1 pairs with COURSE1_CREDITS
+ * @param {Object} rawData - Original raw data
+ * @param {Array} referenceTables - The dataset's 1NF solution tables
+ * @returns {Object} { name, columns: [{ name, origin, slot }], rows, keyOrigins }
+ */
+export function buildRawView(rawData, referenceTables) {
+  const referenceColumns = (referenceTables || []).flatMap(table => table.columns);
+
+  const columns = rawData.columns.map(name => {
+    for (const refCol of referenceColumns) {
+      const sources = refCol.sourceCols || [];
+      const idx = sources.findIndex(source => normalizeName(source) === normalizeName(name));
+      if (idx !== -1) {
+        return { name, origin: refCol.name, slot: sources.length > 1 ? idx : null };
+      }
+    }
+    return { name, origin: name, slot: null };
+  });
+
+  return {
+    name: rawData.tableName,
+    columns,
+    rows: rawData.rows.map(row => [...row]),
+    keyOrigins: referenceColumns.filter(col => col.type === 'PK').map(col => col.name)
+  };
+}
+
+/**
+ * Build views of the user's saved tables, with rows from their generated previews
+ * @param {Array} userTables - User's tables for the current form
+ * @param {Object} rawData - Original raw data
+ * @param {Array} earlierForms - User's tables of the earlier forms, nearest first (1NF last)
+ * @returns {Array} Array of { name, columns: [{ name, origin, slot }], rows, keyOrigins }
+ */
+export function buildTableViews(userTables, rawData, earlierForms = []) {
+  return (userTables || [])
+    .filter(table => table.saved && table.columns.length > 0)
+    .map(table => {
+      const columns = table.columns.map(col => ({
+        name: col.name,
+        origin: resolveOriginColumnName(col, earlierForms),
+        slot: null
+      }));
+      return {
+        name: table.name,
+        columns,
+        rows: generateTableData(table, rawData, ...earlierForms),
+        keyOrigins: table.columns
+          .map((col, idx) => (col.type === 'PK' ? columns[idx].origin : null))
+          .filter(Boolean)
+      };
+    });
+}
+
+/**
+ * Group dependencies by determinant, e.g. COURSE → CREDITS and COURSE → TITLE
+ * become one group; these are the facts a student can try to insert on their own
+ * @param {Array} dependencies - Array of { determinant, dependent } using 1NF column names
+ * @returns {Array} Array of { determinant, dependents }
+ */
+export function getDependencyGroups(dependencies) {
+  const groups = [];
+  dependencies.forEach(dep => {
+    const key = dep.determinant.map(normalizeName).sort().join('|');
+    let group = groups.find(g => g.key === key);
+    if (!group) {
+      group = { key, determinant: dep.determinant, dependents: [] };
+      groups.push(group);
+    }
+    if (!group.dependents.includes(dep.dependent)) {
+      group.dependents.push(dep.dependent);
+    }
+  });
+  return groups.map(({ determinant, dependents }) => ({ determinant, dependents }));
+}
+
+/**
+ * Find the columns that determine a column of a view
+ * Determinant columns must share the column's slot (or have none)
+ * @returns {Array|null} Column indices of the smallest matching determinant, or null
+ */
+function findDeterminant(view, colIdx, dependencies) {
+  const col = view.columns[colIdx];
+  const candidates = dependencies
+    .filter(dep => normalizeName(dep.dependent) === normalizeName(col.origin))
+    .map(dep => dep.determinant.map(name => view.columns.findIndex(c =>
+      normalizeName(c.origin) === normalizeName(name) && (c.slot === null || c.slot === col.slot)
+    )))
+    .filter(indices => indices.every(idx => idx !== -1))
+    .sort((a, b) => a.length - b.length);
+  return candidates[0] || null;
+}
+
+/**
+ * List every stored fact of a view: a dependent value together with the determinant
+ * values it belongs to. Empty values record nothing
+ */
+function collectFacts(view, dependencies) {
+  const facts = new Map();
+  view.columns.forEach((col, colIdx) => {
+    const determinant = findDeterminant(view, colIdx, dependencies);
+    if (!determinant) return;
+    view.rows.forEach(row => {
+      const values = determinant.map(idx => cellKey(row[idx]));
+      const value = cellKey(row[colIdx]);
+      if (value === '' || values.some(v => v === '')) return;
+      const names = determinant.map(idx => view.columns[idx].origin);
+      const key = JSON.stringify([normalizeName(col.origin), names.map(normalizeName), values, value]);
+      if (!facts.has(key)) {
+        facts.set(key, { column: col.origin, determinant: names, determinantValues: values, value });
+      }
+    });
+  });
+  return facts;
+}
+
+/**
+ * Describe a fact as text, e.g. "CREDITS = 4 for COURSE = DB"
+ */
+export function describeFact(fact) {
+  const where = fact.determinant.map((name, idx) => `${name} = ${fact.determinantValues[idx]}`).join(', ');
+  return `${fact.column} = ${fact.value} for ${where}`;
+}
+
+/**
+ * Find every cell of the views that stores the given fact
+ * @returns {Array} Array of { viewIdx, rowIdx, colIdx }
+ */
+function findFactCells(views, fact, dependencies) {
+  const cells = [];
+  views.forEach((view, viewIdx) => {
+    view.columns.forEach((col, colIdx) => {
+      if (normalizeName(col.origin) !== normalizeName(fact.column)) return;
+      const determinant = findDeterminant(view, colIdx, dependencies);
+      if (!determinant) return;
+      const sameDeterminant = determinant.every((idx, i) =>
+        normalizeName(view.columns[idx].origin) === normalizeName(fact.determinant[i])
+      );
+      if (!sameDeterminant) return;
+      view.rows.forEach((row, rowIdx) => {
+        const matches = determinant.every((idx, i) => cellKey(row[idx]) === fact.determinantValues[i]) &&
+          cellKey(row[colIdx]) === fact.value;
+        if (matches) {
+          cells.push({ viewIdx, rowIdx, colIdx });
+        }
+      });
+    });
+  });
+  return cells;
+}
+
+/**
+ * Get the fact stored in one cell of a view
+ * @returns {Object|null} { column, determinant, determinantValues, value } or null when
+ *   no dependency ends in the column (e.g. it is part of a key)
+ */
+export function getCellFact(view, rowIdx, colIdx, dependencies) {
+  const determinant = findDeterminant(view, colIdx, dependencies);
+  if (!determinant) return null;
+  const row = view.rows[rowIdx];
+  return {
+    column: view.columns[colIdx].origin,
+    determinant: determinant.map(idx => view.columns[idx].origin),
+    determinantValues: determinant.map(idx => cellKey(row[idx])),
+    value: cellKey(row[colIdx])
+  };
+}
+
+/**
+ * Update a fact the way a user would edit one row: change the first copy found
+ * (or the preferred one) and see which copies still hold the old value
+ * @param {Array} views - Views to update (the raw view alone, or the user's tables)
+ * @param {Object} fact - Fact to change, from getCellFact
+ * @param {string} newValue - New value
+ * @param {Array} dependencies - Array of { determinant, dependent } using 1NF column names
+ * @param {Object} preferred - Optional { viewIdx, rowIdx, colIdx } of the cell the user edits
+ * @returns {Object} { updatedCell, staleCells, anomaly } where anomaly is a message or null,
+ *   plus a note when no table stores the fact at all
+ */
+export function simulateUpdate(views, fact, newValue, dependencies, preferred = null) {
+  const cells = findFactCells(views, fact, dependencies);
+  if (cells.length === 0) {
+    return { updatedCell: null, staleCells: [], anomaly: null, note: `None of these tables stores ${describeFact(fact)}.` };
+  }
+
+  const updatedCell = (preferred && cells.find(cell =>
+    cell.viewIdx === preferred.viewIdx && cell.rowIdx === preferred.rowIdx && cell.colIdx === preferred.colIdx
+  )) || cells[0];
+  const staleCells = cells.filter(cell => cell !== updatedCell);
+  const view = views[updatedCell.viewIdx];
+  view.rows[updatedCell.rowIdx][updatedCell.colIdx] = newValue;
+
+  return {
+    updatedCell,
+    staleCells,
+    anomaly: staleCells.length > 0
+      ? `Update anomaly: ${staleCells.length} other row(s) still say ${fact.column} = ${fact.value} for ` +
+        `${fact.determinant.join(', ')} = ${fact.determinantValues.join(', ')}, so the data now contradicts itself ` +
+        `unless every copy is changed.`
+      : null
+  };
+}
+
+/**
+ * Find the columns that identify the record a raw row's deletion is meant to remove
+ * This is the largest multi-column determinant inside the 1NF key (e.g. ORDER_ID,
+ * COMPONENT for a quantity), or the whole 1NF key when no dependency names one
+ * @param {Array} keyOrigins - 1NF key column names
+ * @param {Array} dependencies - Array of { determinant, dependent } using 1NF column names
+ * @returns {Array} 1NF column names
+ */
+export function getRecordKey(keyOrigins, dependencies) {
+  const keyNames = new Set(keyOrigins.map(normalizeName));
+  const recordKey = dependencies
+    .map(dep => dep.determinant)
+    .filter(determinant => determinant.length > 1 && determinant.every(name => keyNames.has(normalizeName(name))))
+    .sort((a, b) => b.length - a.length)[0];
+  return recordKey || keyOrigins;
+}
+
+/**
+ * Delete rows and report facts that disappear with them
+ * Facts about the deleted record itself (determined by exactly the record key) are
+ * meant to go, so they are not reported as lost
+ * @param {Array} views - Views to delete from
+ * @param {Array} deletions - Array of { viewIdx, rowIdx }
+ * @param {Array} dependencies - Array of { determinant, dependent } using 1NF column names
+ * @param {Array} recordKey - 1NF column names identifying the deleted record (see getRecordKey)
+ * @returns {Object} { deletedRows, lostFacts, anomaly }
+ */
+export function simulateDelete(views, deletions, dependencies, recordKey = []) {
+  const before = new Map();
+  views.forEach(view => collectFacts(view, dependencies).forEach((fact, key) => before.set(key, fact)));
+
+  views.forEach((view, viewIdx) => {
+    const removed = new Set(deletions.filter(d => d.viewIdx === viewIdx).map(d => d.rowIdx));
+    view.rows = view.rows.filter((_, rowIdx) => !removed.has(rowIdx));
+  });
+
+  const after = new Set();
+  views.forEach(view => collectFacts(view, dependencies).forEach((_, key) => after.add(key)));
+  const recordNames = new Set(recordKey.map(normalizeName));
+  const isRecordFact = (fact) =>
+    fact.determinant.length === recordNames.size &&
+    fact.determinant.every(name => recordNames.has(normalizeName(name)));
+  const lostFacts = [...before.entries()]
+    .filter(([key, fact]) => !after.has(key) && !isRecordFact(fact))
+    .map(([, fact]) => fact);
+
+  return {
+    deletedRows: deletions.length,
+    lostFacts,
+    anomaly: lostFacts.length > 0
+      ? `Delete anomaly: removing this also erases ${lostFacts.length} fact(s) that no remaining row records.`
+      : null
+  };
+}
+
+/**
+ * Find the rows of the user's tables that record the same thing as a raw row
+ * These are rows of tables holding the whole 1NF key whose key values all appear in
+ * the raw row (in any slot of a repeating group)
+ * @param {Object} rawView - View from buildRawView
+ * @param {number} rawRowIdx - Index of the raw row
+ * @param {Array} tableViews - Views from buildTableViews
+ * @returns {Array} Array of { viewIdx, rowIdx }
+ */
+export function findMatchingRows(rawView, rawRowIdx, tableViews) {
+  const rawRow = rawView.rows[rawRowIdx];
+  const valuesByOrigin = new Map();
+  rawView.columns.forEach((col, idx) => {
+    const key = normalizeName(col.origin);
+    if (!valuesByOrigin.has(key)) valuesByOrigin.set(key, new Set());
+    const value = cellKey(rawRow[idx]);
+    if (value !== '') valuesByOrigin.get(key).add(value);
+  });
+
+  const keyOrigins = rawView.keyOrigins.map(normalizeName);
+  const matches = [];
+  tableViews.forEach((view, viewIdx) => {
+    const keyIndices = keyOrigins.map(origin => view.columns.findIndex(col => normalizeName(col.origin) === origin));
+    if (keyIndices.length === 0 || keyIndices.some(idx => idx === -1)) return;
+    view.rows.forEach((row, rowIdx) => {
+      const recordsRawRow = keyIndices.every((idx, i) => valuesByOrigin.get(keyOrigins[i])?.has(cellKey(row[idx])));
+      if (recordsRawRow) {
+        matches.push({ viewIdx, rowIdx });
+      }
+    });
+  });
+  return matches;
+}
+
+/**
+ * Try to insert a fact on its own, e.g. a new course with its credits but no students
+ * A view can take the fact if the fact covers its key; otherwise the missing key columns
+ * would be empty, which is an insert anomaly
+ * @param {Array} views - Views to insert into
+ * @param {Array} determinant - 1NF column names of the fact's determinant
+ * @param {Object} values - Entered values keyed by 1NF column name
+ * @returns {Object} { insertedInto, missingKeyColumns, emptyColumns, anomaly }
+ */
+export function simulateInsert(views, determinant, values) {
+  const filled = new Set(Object.keys(values)
+    .filter(name => cellKey(values[name]) !== '')
+    .map(normalizeName));
+  const holdsDeterminant = (view) => determinant.every(name =>
+    view.columns.some(col => normalizeName(col.origin) === normalizeName(name))
+  );
+
+  // Prefer a view keyed by exactly the determinant, then any view that holds it
+  const candidates = views
+    .map((view, viewIdx) => ({ view, viewIdx }))
+    .filter(({ view }) => holdsDeterminant(view))
+    .map(({ view, viewIdx }) => ({
+      view,
+      viewIdx,
+      missingKeyColumns: view.keyOrigins.filter(name => !filled.has(normalizeName(name))),
+      holdsAll: Object.keys(values).every(name => view.columns.some(col => normalizeName(col.origin) === normalizeName(name)))
+    }))
+    .sort((a, b) =>
+      (a.missingKeyColumns.length - b.missingKeyColumns.length) || (Number(b.holdsAll) - Number(a.holdsAll))
+    );
+
+  if (candidates.length === 0) {
+    return {
+      insertedInto: null,
+      missingKeyColumns: [],
+      emptyColumns: [],
+      anomaly: `Insert anomaly: no table holds ${determinant.join(', ')}, so this fact has nowhere to go.`
+    };
+  }
+
+  const { view, viewIdx, missingKeyColumns } = candidates[0];
+  const row = view.columns.map(col => {
+    const name = Object.keys(values).find(key => normalizeName(key) === normalizeName(col.origin));
+    return name !== undefined && (col.slot === null || col.slot === 0) ? values[name] : '';
+  });
+  const emptyColumns = view.columns.filter((_, idx) => cellKey(row[idx]) === '').map(col => col.name);
+
+  if (missingKeyColumns.length > 0) {
+    return {
+      insertedInto: null,
+      missingKeyColumns,
+      emptyColumns,
+      anomaly: `Insert anomaly: each row of ${view.name} is identified by ${view.keyOrigins.join(', ')}, so the new row would need ` +
+        `${missingKeyColumns.join(', ')} as well. The fact can't be stored until one exists.`
+    };
+  }
+
+  view.rows.push(row);
+  return { insertedInto: { viewIdx, rowIdx: view.rows.length - 1 }, missingKeyColumns: [], emptyColumns, anomaly: null };
+}
@@ -0,0 +1,135 @@
+/**
+ * Atomicity Checker Utility
+ * Finds cell values that hold more than one fact, which a table in 1NF must not have:
+ * delimited lists ("English, Spanish"), embedded key/value pairs ("size=M; color=red")
+ * and composite values ("Austin, TX")
+ */
+
+import { hasValue, cellKey } from './valueHelpers';
+
+// Separators that join the items of a list in one cell, tried in this order
+const LIST_DELIMITERS = [';', '|', ','];
+
+// Examples kept per column for messages
+const MAX_EXAMPLES = 3;
+
+// What each kind of non-atomic value is called in messages
+export const NON_ATOMIC_KIND_LABELS = {
+  list: 'lists of values',
+  keyValue: 'key/value pairs',
+  composite: 'composite values'
+};
+
+// Values with commas that are still single facts: 1,200 / $1,200.50 / Jan 5, 2024
+const SINGLE_VALUE_PATTERNS = [
+  /^[-+]?[$€£]?\d{1,3}(,\d{3})+(\.\d+)?$/,
+  /^[A-Za-z]{3,9}\.? \d{1,2}, \d{4}$/
+];
+
+// One "key: value" or "key=value" pair; the key starts with a letter so times like 10:30 don't count
+const KEY_VALUE_PAIR = /^[A-Za-z][\w .-]{0,30}?\s*([:=])\s*(?!\/)\S/;
+
+// The tail of a composite like "Austin, TX" or "Springfield, IL 62704"
+const REGION_CODE = /^[A-Z]{2,3}( \d{4,5}(-\d{4})?)?$/;
+
+/**
+ * Split a cell on the first list delimiter it contains
+ * @returns {Object|null} { delimiter, parts } with the trimmed non-empty parts, or null if there are fewer than two
+ */
+function splitParts(text) {
+  for (const delimiter of LIST_DELIMITERS) {
+    if (!text.includes(delimiter)) continue;
+    const parts = text.split(delimiter).map(part => part.trim()).filter(Boolean);
+    if (parts.length >= 2) return { delimiter, parts };
+  }
+  return null;
+}
+
+/**
+ * Tell whether two comma-separated parts read as one value with two parts,
+ * like a city and its state or a street and its town, rather than as two list items
+ */
+function looksComposite(parts) {
+  if (parts.length !== 2) return false;
+  if (REGION_CODE.test(parts[1])) return true;
+  const hasDigits = parts.map(part => /\d/.test(part));
+  return hasDigits[0] !== hasDigits[1];
+}
+
+/**
+ * Check whether one cell holds a single atomic value
+ * @param {*} cell - Cell value
+ * @returns {Object|null} null when atomic, otherwise { kind, parts, delimiter } where kind is
+ *   'list', 'keyValue' or 'composite' (see NON_ATOMIC_KIND_LABELS) and delimiter is the
+ *   separator between the parts (null for a single key/value pair)
+ */
+export function checkCellAtomicity(cell) {
+  const text = cellKey(cell);
+  if (!text || SINGLE_VALUE_PATTERNS.some(pattern => pattern.test(text))) return null;
+
+  const split = splitParts(text);
+  const parts = split ? split.parts : [text];
+  const delimiter = split ? split.delimiter : null;
+
+  // A single pair only counts with "=", so "Note: call back" stays a plain value
+  const pairs = parts.map(part => part.match(KEY_VALUE_PAIR)).filter(Boolean);
+  if (pairs.length >= 2 || (pairs.length === 1 && parts.length === 1 && pairs[0][1] === '=')) {
+    return { kind: 'keyValue', parts, delimiter };
+  }
+
+  if (!split) return null;
+  if (delimiter === ',' && looksComposite(parts)) {
+    return { kind: 'composite', parts, delimiter };
+  }
+  return { kind: 'list', parts, delimiter };
+}
+
+/**
+ * Find the columns of a table whose values aren't atomic
+ * A column whose values all have exactly two comma-separated parts ("Austin, Texas",
+ * "Salem, Oregon") is read as composite, since a list would vary in length
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Rows of cell values
+ * @returns {Array} One finding per column, in column order:
+ *   { column, colIdx, kind, count, examples, rowIndices }
+ */
+export function findNonAtomicValues(columns, rows) {
+  const findings = [];
+
+  columns.forEach((column, colIdx) => {
+    const flagged = [];
+    let filledCount = 0;
+    rows.forEach((row, rowIdx) => {
+      const cell = row[colIdx];
+      if (!hasValue(cell)) return;
+      filledCount++;
+      const result = checkCellAtomicity(cell);
+      if (result) flagged.push({ rowIdx, value: cellKey(cell), ...result });
+    });
+    if (flagged.length === 0) return;
+
+    const fixedPairs = flagged.length >= 2 && flagged.length === filledCount &&
+      flagged.every(item => item.kind !== 'keyValue' && item.parts.length === 2 && item.delimiter === ',');
+    if (fixedPairs) {
+      flagged.forEach(item => { item.kind = 'composite'; });
+    }
+
+    // Report the kind most of the column's flagged values have
+    const counts = {};
+    flagged.forEach(item => { counts[item.kind] = (counts[item.kind] || 0) + 1; });
+    const kind = Object.keys(NON_ATOMIC_KIND_LABELS).reduce((best, candidate) =>
+      (counts[candidate] || 0) > (counts[best] || 0) ? candidate : best
+    );
+
+    findings.push({
+      column,
+      colIdx,
+      kind,
+      count: flagged.length,
+      examples: [...new Set(flagged.map(item => item.value))].slice(0, MAX_EXAMPLES),
+      rowIndices: flagged.map(item => item.rowIdx)
+    });
+  });
+
+  return findings;
+}
@@ -3,62 +3,145 @@
  * Generates preview data for tables based on column mappings
  */
 
+import { project, distinctRows, joinRelations } from './relationalAlgebra';
+import { parseExpression, evaluateExpression } from './expressionEvaluator';
+import { normalizeName, hasValue } from './valueHelpers';
+
+// Separator for split mappings that don't give a delimiter of their own
+export const DEFAULT_SPLIT_DELIMITER = ',';
+
 /**
- * Convert previous form's tables into a flat structure similar to rawData
- * This allows us to reuse the same data generation logic
- * @param {Array} previousFormTables - Array of table definitions from previous form
- * @param {Object} rawData - Original raw data (used as fallback for generating previews)
- * @returns {Object} Object with columns and rows, where columns are "tableName.columnName"
+ * Split a multi-valued cell (e.g. "Math, Physics") into its trimmed, non-empty values
+ * @param {*} cell - Cell value
+ * @param {string} delimiter - Separator between values
+ * @returns {Array} Array of values
  */
-export function flattenPreviousFormTables(previousFormTables, rawData) {
-  const columns = [];
-  const rows = [];
-  const tableDataMap = new Map(); // Map table.id to its generated data
+export function splitCellValues(cell, delimiter = DEFAULT_SPLIT_DELIMITER) {
+  if (cell === null || cell === undefined) return [];
+  return String(cell)
+    .split(delimiter || DEFAULT_SPLIT_DELIMITER)
+    .map(value => value.trim())
+    .filter(value => value !== '');
+}
+
+/**
+ * Expand rows so every split column holds one value per row
+ * Several split columns are read side by side, like consolidate's column groups: their
+ * first values form one row, their second values the next, and so on. As with
+ * consolidation, a row whose split cells are all empty produces no rows
+ * @param {Object} table - Table definition
+ * @param {Array} rows - Rows with whole multi-valued cells in the split columns
+ * @returns {Array} Expanded rows
+ */
+function expandSplitColumns(table, rows) {
+  const splitIndices = table.columns
+    .map((col, idx) => (col.mappingType === 'split' ? idx : -1))
+    .filter(idx => idx !== -1);
+  if (splitIndices.length === 0) {
+    return rows;
+  }
 
-  // First, generate data for each previous form table
-  previousFormTables.forEach(prevTable => {
-    if (prevTable.saved && rawData) {
-      const tableData = generateTableDataFromRaw(prevTable, rawData);
-      tableDataMap.set(prevTable.id, tableData);
+  const expandedRows = [];
+  rows.forEach(row => {
+    const valueLists = splitIndices.map(idx => splitCellValues(row[idx], table.columns[idx].delimiter));
+    const valueCount = Math.max(...valueLists.map(values => values.length));
+    for (let i = 0; i < valueCount; i++) {
+      const newRow = [...row];
+      splitIndices.forEach((colIdx, splitIdx) => {
+        newRow[colIdx] = valueLists[splitIdx][i] ?? '';
+      });
+      expandedRows.push(newRow);
     }
   });
+  return expandedRows;
+}
 
-  // Create column names as "tableName.columnName"
-  previousFormTables.forEach(prevTable => {
-    prevTable.columns.forEach(col => {
-      const columnName = `${prevTable.name}.${col.name}`;
-      columns.push(columnName);
-    });
-  });
+/**
+ * Extract the value a metadata column takes from a source column name
+ * The pattern is a regular expression; its first capture group (or the whole match if it
+ * has none) becomes the value, e.g. "(\d+)" turns TREATMENT1 into 1 and "_([^_]+)$" turns
+ * PHONE_HOME into HOME. Without a pattern, or when it doesn't match, the name is used as is
+ * @param {string} columnName - Source column name
+ * @param {string} pattern - Optional regular expression
+ * @returns {string} The value
+ */
+export function extractMetadataValue(columnName, pattern = '') {
+  if (!pattern) return columnName;
+  let match;
+  try {
+    match = columnName.match(new RegExp(pattern));
+  } catch {
+    return columnName;
+  }
+  if (!match) return columnName;
+  return match.length > 1 && match[1] !== undefined ? match[1] : match[0];
+}
 
-  // Generate rows by combining data from all previous tables
-  // We need to create a cartesian product of rows from all tables
-  // For simplicity, we'll create rows where each row contains data from one table
-  // and empty values for other tables (this is a simplified approach)
-  
-  // Get max number of rows across all tables
-  let maxRows = 0;
-  previousFormTables.forEach(prevTable => {
-    const tableData = tableDataMap.get(prevTable.id) || [];
-    maxRows = Math.max(maxRows, tableData.length);
+/**
+ * Compile each derived column's expression once per preview
+ * A column whose expression doesn't parse gets no evaluator, so its values stay empty
+ * @param {Object} table - Table definition
+ * @param {Array} rawColumns - Raw data column names
+ * @returns {Map} Map of column definition to a function computing its value from a raw row
+ */
+function compileDerivedColumns(table, rawColumns) {
+  const evaluators = new Map();
+  table.columns.forEach(col => {
+    if (col.mappingType !== 'derived' || !col.expression) return;
+    try {
+      const expression = parseExpression(col.expression);
+      evaluators.set(col, rawRow => evaluateExpression(expression, name => {
+        const idx = rawColumns.indexOf(name);
+        return idx !== -1 ? rawRow[idx] : '';
+      }));
+    } catch {
+      // Invalid expressions are reported by the mapping dialog
+    }
   });
+  return evaluators;
+}
 
-  // Create rows
-  for (let i = 0; i < maxRows; i++) {
-    const row = [];
-    previousFormTables.forEach(prevTable => {
-      const tableData = tableDataMap.get(prevTable.id) || [];
-      const tableRow = tableData[i] || [];
-      
-      // Add data for this table's columns
-      prevTable.columns.forEach((col, colIdx) => {
-        row.push(tableRow[colIdx] || '');
-      });
-    });
-    rows.push(row);
-  }
+/**
+ * Number each distinct natural-key combination 1, 2, 3... in order of first appearance
+ * A combination with an empty part gets no ID, like a NULL key in SQL
+ * @param {Array} combinations - Natural-key values of every row, in row order
+ * @returns {Function} Returns the surrogate ID of a combination ('' if it has none)
+ */
+function createSurrogateKeys(combinations) {
+  const keyOf = values => (values.every(hasValue) ? JSON.stringify(values.map(value => String(value).trim())) : null);
+  const ids = new Map();
+  combinations.forEach(values => {
+    const key = keyOf(values);
+    if (key !== null && !ids.has(key)) {
+      ids.set(key, String(ids.size + 1));
+    }
+  });
+  return values => {
+    const key = keyOf(values);
+    return key !== null && ids.has(key) ? ids.get(key) : '';
+  };
+}
 
-  return { columns, rows };
+/**
+ * Prepare each surrogate column of a 1NF table
+ * IDs are numbered over all of the raw data rather than the table's own rows, so every
+ * surrogate column with the same natural-key columns (a PK and the FKs pointing at it)
+ * gives a combination the same ID
+ * @param {Object} table - Table definition
+ * @param {Object} rawData - Raw data object with columns and rows
+ * @returns {Map} Map of column definition to a function computing its value from a raw row
+ */
+function compileSurrogateColumns(table, rawData) {
+  const rawColumns = rawData.columns || [];
+  const surrogates = new Map();
+  table.columns.forEach(col => {
+    if (col.mappingType !== 'surrogate' || !col.sourceCols || col.sourceCols.length === 0) return;
+    const indices = col.sourceCols.map(name => rawColumns.indexOf(name));
+    const naturalKeyOf = rawRow => indices.map(idx => (idx !== -1 ? rawRow[idx] : ''));
+    const surrogateId = createSurrogateKeys((rawData.rows || []).map(naturalKeyOf));
+    surrogates.set(col, rawRow => surrogateId(naturalKeyOf(rawRow)));
+  });
+  return surrogates;
 }
 
 /**
@@ -75,6 +158,11 @@ function generateTableDataFromRaw(table, rawData) {
   const rows = [];
   const rawRows = rawData.rows || [];
   const rawColumns = rawData.columns || [];
+  const computedColumns = new Map([
+    ...compileDerivedColumns(table, rawColumns),
+    ...compileSurrogateColumns(table, rawData)
+  ]);
+  const computeColumn = (col, rawRow) => (computedColumns.has(col) ? computedColumns.get(col)(rawRow) : '');
 
   // Find columns that need consolidation (many-to-1)
   const consolidationColumns = table.columns.filter(
@@ -112,19 +200,14 @@ function generateTableDataFromRaw(table, rawData) {
         const cellValue = rawRow[sourceColIndex];
         const sourceColName = masterSourceCols[sourceIdx];
         
-        // Only create a row if the cell has a value (not empty)
-        // Check if value exists and is not just whitespace
-        const hasValue = cellValue !== null && 
-                        cellValue !== undefined && 
-                        String(cellValue).trim() !== '';
-        
-        if (hasValue) {
+        // Only create a row if the cell has a value (not empty or just whitespace)
+        if (hasValue(cellValue)) {
           const newRow = [];
 
           // Process each column in the table definition in order
           table.columns.forEach(col => {
-            if (col.mappingType === 'direct') {
-              // Direct mapping: copy value from source column
+            if (col.mappingType === 'direct' || col.mappingType === 'split') {
+              // Direct mapping: copy value from source column (split cells are expanded below)
               if (col.sourceCols && col.sourceCols.length > 0) {
                 const sourceColIndex = rawColumns.indexOf(col.sourceCols[0]);
                 newRow.push(sourceColIndex !== -1 ? rawRow[sourceColIndex] : '');
@@ -142,8 +225,11 @@ function generateTableDataFromRaw(table, rawData) {
                 newRow.push('');
               }
             } else if (col.mappingType === 'metadata') {
-              // Metadata: use the source column name as the value
-              newRow.push(sourceColName || '');
+              // Metadata: use the source column name (or the part its pattern extracts) as the value
+              newRow.push(extractMetadataValue(sourceColName || '', col.pattern));
+            } else if (col.mappingType === 'derived' || col.mappingType === 'surrogate') {
+              // Derived and surrogate: compute the value from the row's source columns
+              newRow.push(computeColumn(col, rawRow));
             } else {
               newRow.push('');
             }
@@ -158,9 +244,11 @@ function generateTableDataFromRaw(table, rawData) {
     rawRows.forEach(rawRow => {
       const newRow = [];
       table.columns.forEach(col => {
-        if (col.mappingType === 'direct' && col.sourceCols && col.sourceCols.length > 0) {
+        if ((col.mappingType === 'direct' || col.mappingType === 'split') && col.sourceCols && col.sourceCols.length > 0) {
           const sourceColIndex = rawColumns.indexOf(col.sourceCols[0]);
           newRow.push(sourceColIndex !== -1 ? rawRow[sourceColIndex] : '');
+        } else if (col.mappingType === 'derived' || col.mappingType === 'surrogate') {
+          newRow.push(computeColumn(col, rawRow));
         } else {
           newRow.push('');
         }
@@ -174,7 +262,7 @@ function generateTableDataFromRaw(table, rawData) {
   // For normalization, duplicate rows might be valid (e.g., same crew member on different trips)
   const uniqueRows = [];
   const seen = new Set();
-  rows.forEach(row => {
+  expandSplitColumns(table, rows).forEach(row => {
     const key = JSON.stringify(row);
     if (!seen.has(key)) {
       seen.add(key);
@@ -185,501 +273,277 @@ function generateTableDataFromRaw(table, rawData) {
   return uniqueRows;
 }
 
+// Generated previews, kept per rawData object so switching datasets never mixes them up
+const previewCache = new WeakMap();
+
+// Previews kept per dataset before the oldest are dropped
+const MAX_CACHED_PREVIEWS = 500;
+
+/**
+ * Describe everything about a list of tables that affects generated rows
+ * Table ids are left out, so identical definitions share a cache entry
+ */
+function tablesSignature(tables) {
+  return JSON.stringify((tables || []).map(t => [t.name, t.saved === true, t.columns || []]));
+}
+
+/**
+ * Generate table data, reusing the preview of an unchanged table
+ * The cache key is the signature of the table's definition and of every earlier form's tables,
+ * so editing a table only regenerates it and the later-form tables built from it.
+ * Rows are shared with the cache and must not be modified
+ */
+function generateTableDataCached(table, rawData, previousFormTables, previousPreviousFormTables, olderFormTables) {
+  const generate = () => (previousFormTables && previousFormTables.length > 0
+    ? generateTableDataFromPreviousForm(table, previousFormTables, rawData, previousPreviousFormTables, olderFormTables)
+    : generateTableDataFromRaw(table, rawData));
+
+  if (!rawData || typeof rawData !== 'object') {
+    return generate();
+  }
+
+  if (!previewCache.has(rawData)) {
+    previewCache.set(rawData, new Map());
+  }
+  const cache = previewCache.get(rawData);
+
+  const forms = [previousFormTables, previousPreviousFormTables, ...olderFormTables];
+  const key = JSON.stringify([tablesSignature([table]), ...forms.map(tablesSignature)]);
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const rows = generate();
+  cache.set(key, rows);
+  if (cache.size > MAX_CACHED_PREVIEWS) {
+    cache.delete(cache.keys().next().value);
+  }
+  return rows;
+}
+
 /**
  * Generate table data preview based on column mappings
- * Works with either rawData or previousFormTables
+ * Works with either rawData or previousFormTables. Previews are cached (see
+ * generateTableDataCached), and each call returns its own copy of the rows
  * @param {Object} table - Table definition with columns and mappings
  * @param {Object} rawData - Raw data object with columns and rows (for 1NF)
- * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF)
+ * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF/BCNF)
+ * @param {Array} previousPreviousFormTables - Previous-previous form's tables (for 3NF/BCNF)
+ * @param {...Array} olderFormTables - Tables of any earlier forms, nearest first (for BCNF: 1NF tables)
  * @returns {Array} Array of rows for the table
  */
-export function generateTableData(table, rawData, previousFormTables = null, previousPreviousFormTables = null) {
-  // If we have previous form tables, use them as the source
-  if (previousFormTables && previousFormTables.length > 0) {
-    return generateTableDataFromPreviousForm(table, previousFormTables, rawData, previousPreviousFormTables);
+export function generateTableData(table, rawData, previousFormTables = null, previousPreviousFormTables = null, ...olderFormTables) {
+  return generateTableDataCached(table, rawData, previousFormTables, previousPreviousFormTables, olderFormTables)
+    .map(row => [...row]);
+}
+
+/**
+ * Check if two table names match flexibly (similar to validator)
+ * Allows "FLIGHT" to match "FLIGHT_DETAILS" and vice versa
+ */
+function tablesMatch(tableName1, tableName2) {
+  const norm1 = normalizeName(tableName1);
+  const norm2 = normalizeName(tableName2);
+
+  // Exact match
+  if (norm1 === norm2) return true;
+
+  // One contains the other (e.g., "FLIGHT" matches "FLIGHT_DETAILS")
+  if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
+
+  // Word-based matching
+  const words1 = norm1.split(/[_\s]+/).filter(w => w.length > 0);
+  const words2 = norm2.split(/[_\s]+/).filter(w => w.length > 0);
+
+  if (words1.length > 0 && words2.length > 0) {
+    // Check if all words from table1 appear in table2
+    const allWords1Match = words1.every(w1 =>
+      words2.some(w2 =>
+        w1 === w2 || w1.startsWith(w2) || w2.startsWith(w1) ||
+        w1.includes(w2) || w2.includes(w1)
+      )
+    );
+
+    // Check if all words from table2 appear in table1
+    const allWords2Match = words2.every(w2 =>
+      words1.some(w1 =>
+        w2 === w1 || w2.startsWith(w1) || w1.startsWith(w2) ||
+        w2.includes(w1) || w1.includes(w2)
+      )
+    );
+
+    if (allWords1Match || allWords2Match) return true;
   }
-  
-  // Otherwise, use raw data (for 1NF)
-  return generateTableDataFromRaw(table, rawData);
+
+  return false;
+}
+
+/**
+ * Find a table by name among the previous form's tables
+ * An exact name wins over a flexible match, so "DOCTOR_SKILL" doesn't resolve to "DOCTOR"
+ */
+function findMatchingTable(tables, targetTableName) {
+  return tables.find(t => normalizeName(t.name) === normalizeName(targetTableName)) ||
+    tables.find(t => tablesMatch(t.name, targetTableName));
+}
+
+/**
+ * List the previous-form columns a column's values can come from
+ * "TABLE.COLUMN" sources name the table (solution names like "FLIGHT_DETAILS" match
+ * the user's "FLIGHT"); plain names match a column of any table. If no source resolves,
+ * a same-named column is used instead (e.g. after the source table was renamed)
+ * @param {Object} column - Column definition
+ * @param {Array} tables - Previous form's saved tables
+ * @returns {Array} Array of { table, column } with normalized column names
+ */
+function findColumnSources(column, tables) {
+  const sources = [];
+  const addSource = (table, columnName) => {
+    const name = normalizeName(columnName);
+    if (!table.columns.some(col => normalizeName(col.name) === name)) return;
+    if (sources.some(source => source.table === table && source.column === name)) return;
+    sources.push({ table, column: name });
+  };
+
+  column.sourceCols.forEach(sourceCol => {
+    if (sourceCol.includes('.')) {
+      const [tableName, columnName] = sourceCol.split('.', 2);
+      const sourceTable = findMatchingTable(tables, tableName);
+      if (sourceTable) addSource(sourceTable, columnName);
+    } else {
+      tables.forEach(t => addSource(t, sourceCol));
+    }
+  });
+
+  if (sources.length === 0) {
+    const plainNames = [column.name, ...column.sourceCols.map(sourceCol => sourceCol.split('.').pop())];
+    plainNames.forEach(name => tables.forEach(t => addSource(t, name)));
+  }
+
+  return sources;
 }
 
 /**
  * Generate table data from previous form's tables
+ * The preview is built with relational algebra over the previous form's generated relations:
+ * 1. each column is traced to one previous table's column, preferring the tables that
+ *    most of the columns can come from so as few tables as possible are needed
+ * 2. those tables are natural-joined on the PK/FK columns they share
+ * 3. the result is projected onto the table's columns and made distinct
+ * A previous table that shares no key column with the others is left out rather than
+ * cross-joined, so its columns stay empty instead of pairing unrelated rows.
+ * A surrogate column traces each of its natural-key columns instead, and its ID is
+ * looked up from those values after the join
  * @param {Object} table - Table definition with columns and mappings
  * @param {Array} previousFormTables - Previous form's tables
  * @param {Object} rawData - Original raw data (needed to generate previews of previous tables)
  * @param {Array} previousPreviousFormTables - Previous-previous form's tables (for 3NF: 1NF tables to generate 2NF from)
+ * @param {Array} olderFormTables - Tables of any earlier forms, nearest first (for BCNF: [1NF tables])
  * @returns {Array} Array of rows for the table
  */
-function generateTableDataFromPreviousForm(table, previousFormTables, rawData, previousPreviousFormTables = null) {
-  if (!table.columns || table.columns.length === 0) {
+function generateTableDataFromPreviousForm(table, previousFormTables, rawData, previousPreviousFormTables = null, olderFormTables = []) {
+  if (!table.columns || table.columns.length === 0 || !rawData) {
     return [];
   }
 
-  // Helper function to normalize table/column names for matching
-  const normalizeName = (name) => {
-    if (!name) return '';
-    return name.trim().toLowerCase().replace(/\s+/g, '_');
-  };
+  const savedTables = previousFormTables.filter(t => t.saved);
 
-  // Helper function to flexibly match table names (similar to validator)
-  // Allows "FLIGHT" to match "FLIGHT_DETAILS" and vice versa
-  const tablesMatch = (tableName1, tableName2) => {
-    const norm1 = normalizeName(tableName1);
-    const norm2 = normalizeName(tableName2);
-    
-    // Exact match
-    if (norm1 === norm2) return true;
-    
-    // One contains the other (e.g., "FLIGHT" matches "FLIGHT_DETAILS")
-    if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-    
-    // Word-based matching
-    const words1 = norm1.split(/[_\s]+/).filter(w => w.length > 0);
-    const words2 = norm2.split(/[_\s]+/).filter(w => w.length > 0);
-    
-    if (words1.length > 0 && words2.length > 0) {
-      // Check if all words from table1 appear in table2
-      const allWords1Match = words1.every(w1 => 
-        words2.some(w2 => 
-          w1 === w2 || w1.startsWith(w2) || w2.startsWith(w1) ||
-          w1.includes(w2) || w2.includes(w1)
-        )
-      );
-      
-      // Check if all words from table2 appear in table1
-      const allWords2Match = words2.every(w2 =>
-        words1.some(w1 =>
-          w2 === w1 || w2.startsWith(w1) || w1.startsWith(w2) ||
-          w2.includes(w1) || w1.includes(w2)
-        )
-      );
-      
-      if (allWords1Match || allWords2Match) return true;
+  // For 3NF: generate 2NF from 1NF; for 2NF: generate 1NF from rawData
+  const previousRows = new Map();
+  const getPreviousRows = (prevTable) => {
+    if (!previousRows.has(prevTable)) {
+      previousRows.set(prevTable, previousPreviousFormTables && previousPreviousFormTables.length > 0
+        ? generateTableDataCached(prevTable, rawData, previousPreviousFormTables, olderFormTables[0] || null, olderFormTables.slice(1))
+        : generateTableDataCached(prevTable, rawData, null, null, []));
     }
-    
-    return false;
+    return previousRows.get(prevTable);
   };
 
-  // Helper function to find a matching table in previousFormTables
-  const findMatchingTable = (targetTableName) => {
-    return previousFormTables.find(t => tablesMatch(t.name, targetTableName));
-  };
-
-  // Collect all solution table names referenced in sourceCols for reverse mapping
-  const solutionTableNames = new Set();
-  table.columns.forEach(col => {
-    if (col.sourceCols && col.sourceCols.length > 0) {
-      col.sourceCols.forEach(sourceCol => {
-        if (sourceCol.includes('.')) {
-          const solutionTableName = sourceCol.split('.')[0];
-          solutionTableNames.add(solutionTableName);
-        }
+  // The previous-form values each column needs: one per column, or one per natural-key
+  // column of a surrogate
+  const fields = [];
+  const columnFields = table.columns.map(col => {
+    if (!col.sourceCols || col.sourceCols.length === 0) return [];
+    if (col.mappingType === 'surrogate') {
+      return col.sourceCols.map(sourceCol => {
+        fields.push(findColumnSources({ name: sourceCol.split('.').pop(), sourceCols: [sourceCol] }, savedTables));
+        return fields.length - 1;
       });
     }
+    if (!['direct', 'consolidate', 'metadata', 'split'].includes(col.mappingType)) return [];
+    fields.push(findColumnSources(col, savedTables));
+    return [fields.length - 1];
   });
 
-  // First, generate data for each previous form table and create a lookup map
-  const previousTableDataMap = new Map();
-  const columnDataMap = new Map(); // Maps "tableName.columnName" to array of values
-  
-  previousFormTables.forEach(prevTable => {
-    if (prevTable.saved && rawData) {
-      // For 3NF: if we have previousPreviousFormTables (1NF), generate 2NF from 1NF
-      // For 2NF: generate 1NF from rawData
-      let tableData;
-      if (previousPreviousFormTables && previousPreviousFormTables.length > 0) {
-        // Generate previous form (2NF) from previous-previous form (1NF)
-        tableData = generateTableData(prevTable, rawData, previousPreviousFormTables);
-      } else {
-        // Generate previous form (1NF) from rawData
-        tableData = generateTableDataFromRaw(prevTable, rawData);
-      }
-      
-      previousTableDataMap.set(prevTable.id, {
-        table: prevTable,
-        data: tableData,
-        columnMap: new Map(prevTable.columns.map((col, idx) => [col.name, idx]))
-      });
-      
-      // Create column data map for easy lookup
-      prevTable.columns.forEach((col, colIdx) => {
-        const columnKey = `${prevTable.name}.${col.name}`;
-        const columnValues = tableData.map(row => row[colIdx]);
-        
-        // Store with exact key (user's table name)
-        columnDataMap.set(columnKey, columnValues);
-        
-        // Always store with normalized key for flexible matching
-        const normalizedKey = `${normalizeName(prevTable.name)}.${normalizeName(col.name)}`;
-        columnDataMap.set(normalizedKey, columnValues);
-        
-        // Also store with solution table names if this table matches any solution table
-        // This allows lookups like "FLIGHT_DETAILS.CHAR_TRIP" to find "FLIGHT.CHAR_TRIP"
-        solutionTableNames.forEach(solutionTableName => {
-          if (tablesMatch(prevTable.name, solutionTableName)) {
-            const solutionKey = `${solutionTableName}.${col.name}`;
-            columnDataMap.set(solutionKey, columnValues);
-            const normalizedSolutionKey = `${normalizeName(solutionTableName)}.${normalizeName(col.name)}`;
-            columnDataMap.set(normalizedSolutionKey, columnValues);
-          }
-        });
-        
-        // Also allow lookup by just column name (for backward compatibility)
-        if (!columnDataMap.has(col.name)) {
-          columnDataMap.set(col.name, columnValues);
-        }
-        
-        // Store with normalized column name too
-        const normalizedColName = normalizeName(col.name);
-        if (!columnDataMap.has(normalizedColName)) {
-          columnDataMap.set(normalizedColName, columnValues);
-        }
-      });
-    }
-  });
-
-  // Find the primary source table - the one that has the most columns referenced
-  // This helps us determine which table's rows to iterate over
-  const sourceTableUsage = new Map();
-  table.columns.forEach(col => {
-    if (col.sourceCols && col.sourceCols.length > 0) {
-      col.sourceCols.forEach(sourceCol => {
-        // Extract table name from "tableName.columnName" format
-        let tableName = null;
-        if (sourceCol.includes('.')) {
-          tableName = sourceCol.split('.')[0];
-        } else {
-          // Try to find which table this column belongs to
-          for (const prevTable of previousFormTables) {
-            if (prevTable.columns.some(c => c.name === sourceCol)) {
-              tableName = prevTable.name;
-              break;
-            }
-          }
-        }
-        if (tableName) {
-          sourceTableUsage.set(tableName, (sourceTableUsage.get(tableName) || 0) + 1);
-        }
-      });
-    }
-  });
-
-  // Find the most referenced table (or use the first one if none found)
-  let primaryTableName = null;
-  let maxUsage = 0;
-  sourceTableUsage.forEach((usage, tableName) => {
-    if (usage > maxUsage) {
-      maxUsage = usage;
-      primaryTableName = tableName;
-    }
+  // Count how many fields each previous table could supply
+  const tableUsage = new Map();
+  fields.forEach(sources => {
+    new Set(sources.map(source => source.table)).forEach(t => {
+      tableUsage.set(t, (tableUsage.get(t) || 0) + 1);
+    });
   });
+  const chosenSources = fields.map(sources =>
+    sources.reduce((best, source) => (!best || tableUsage.get(source.table) > tableUsage.get(best.table) ? source : best), null)
+  );
 
-  if (!primaryTableName && previousFormTables.length > 0) {
-    primaryTableName = previousFormTables[0].name;
-  }
-
-  // Get the primary table's data - use flexible matching
-  const primaryTable = findMatchingTable(primaryTableName);
-  if (!primaryTable || !primaryTable.saved || !rawData) {
+  const usedTables = [...new Set(chosenSources.filter(Boolean).map(source => source.table))];
+  if (usedTables.length === 0) {
     return [];
   }
 
-  // For 3NF: generate 2NF from 1NF; for 2NF: generate 1NF from rawData
-  let primaryTableData;
-  if (previousPreviousFormTables && previousPreviousFormTables.length > 0) {
-    primaryTableData = generateTableData(primaryTable, rawData, previousPreviousFormTables);
-  } else {
-    primaryTableData = generateTableDataFromRaw(primaryTable, rawData);
-  }
-  const primaryTableColumnMap = new Map(primaryTable.columns.map((col, idx) => [col.name, idx]));
-
-  const getValueByColumnName = (columnName, rowIdx) => {
-    if (!columnName) return '';
-    const normalizedTarget = normalizeName(columnName);
-    for (const [, tableInfo] of previousTableDataMap.entries()) {
-      for (const [colName, idx] of tableInfo.columnMap.entries()) {
-        if (normalizeName(colName) === normalizedTarget) {
-          if (rowIdx < tableInfo.data.length) {
-            const val = tableInfo.data[rowIdx][idx];
-            if (val !== null && val !== undefined && val !== '') {
-              return val;
-            }
-          }
-        }
-      }
-    }
-    return '';
-  };
-
-  // Helper function to get value from a source column at a specific row index
-  const getValueFromSource = (sourceCol, rowIdx) => {
-    if (!sourceCol) return '';
-    
-    // Try "tableName.columnName" format first
-    if (sourceCol.includes('.')) {
-      const [tableName, columnName] = sourceCol.split('.', 2);
-      const normalizedTableName = normalizeName(tableName);
-      const normalizedColumnName = normalizeName(columnName);
-      
-      // Try exact match first
-      let values = columnDataMap.get(sourceCol);
-      if (values && rowIdx < values.length) {
-        const val = values[rowIdx];
-        if (val !== null && val !== undefined) {
-          return val;
-        }
-      }
-      
-      // Try normalized match
-      const normalizedKey = `${normalizedTableName}.${normalizedColumnName}`;
-      values = columnDataMap.get(normalizedKey);
-      if (values && rowIdx < values.length) {
-        const val = values[rowIdx];
-        if (val !== null && val !== undefined) {
-          return val;
-        }
-      }
-      
-      // Try to find by matching table and column names in previousTableDataMap
-      // This is the most reliable method - directly access the data
-      // Use flexible table name matching
-      for (const [tableId, tableInfo] of previousTableDataMap.entries()) {
-        const prevTable = tableInfo.table;
-        if (tablesMatch(prevTable.name, tableName)) {
-          // Try exact column name match first
-          let colIdx = tableInfo.columnMap.get(columnName);
-          if (colIdx !== undefined && rowIdx < tableInfo.data.length) {
-            const val = tableInfo.data[rowIdx][colIdx];
-            if (val !== null && val !== undefined) {
-              return val;
-            }
-          }
-          // Try normalized column name match
-          for (const [colName, idx] of tableInfo.columnMap.entries()) {
-            if (normalizeName(colName) === normalizedColumnName) {
-              if (rowIdx < tableInfo.data.length) {
-                const val = tableInfo.data[rowIdx][idx];
-                if (val !== null && val !== undefined) {
-                  return val;
-                }
-              }
-            }
-          }
-        }
-      }
-      
-      
-      // Fallback: try case-insensitive matching in columnDataMap
-      for (const [key, val] of columnDataMap.entries()) {
-        if (key.includes('.')) {
-          const [keyTable, keyCol] = key.split('.', 2);
-          if (normalizeName(keyTable) === normalizedTableName && 
-              normalizeName(keyCol) === normalizedColumnName) {
-            if (rowIdx < val.length) {
-              const result = val[rowIdx];
-              if (result !== null && result !== undefined) {
-                return result;
-              }
-            }
-          }
-        }
-      }
-
-      // Try by column name alone as a last resort
-      const alt = getValueByColumnName(columnName, rowIdx);
-      if (alt) {
-        return alt;
-      }
-    }
-    
-    // Try primary table first (by column name only)
-    const colIdx = primaryTableColumnMap.get(sourceCol);
-    if (colIdx !== undefined && rowIdx < primaryTableData.length) {
-      return primaryTableData[rowIdx][colIdx] || '';
-    }
-    
-    // Try case-insensitive match in primary table
-    for (const [colName, idx] of primaryTableColumnMap.entries()) {
-      if (normalizeName(colName) === normalizeName(sourceCol)) {
-        if (rowIdx < primaryTableData.length) {
-          return primaryTableData[rowIdx][idx] || '';
-        }
-      }
-    }
-    
-    // Try other tables via columnDataMap (by column name only)
-    const values = columnDataMap.get(sourceCol);
-    if (values && rowIdx < values.length) {
-      return values[rowIdx] || '';
-    }
-    
-    // Try case-insensitive match in columnDataMap
-    for (const [key, val] of columnDataMap.entries()) {
-      if (!key.includes('.') && normalizeName(key) === normalizeName(sourceCol)) {
-        if (rowIdx < val.length) {
-          return val[rowIdx] || '';
-        }
-      }
-    }
-    
-    return '';
-  };
-
-  // Determine which table to iterate over based on source column references
-  // If all columns reference the same table, use that table
-  // Otherwise, use the primary table
-  let sourceTableForIteration = primaryTable;
-  let sourceTableData = primaryTableData;
-  
-  // Check if all source columns reference the same table
-  const referencedTables = new Set();
+  const relations = usedTables.map(prevTable => ({
+    name: prevTable.name,
+    columns: prevTable.columns.map(col => normalizeName(col.name)),
+    keyColumns: prevTable.columns
+      .filter(col => ['PK', 'FK'].includes(col.type?.toUpperCase()))
+      .map(col => normalizeName(col.name)),
+    rows: getPreviousRows(prevTable)
+  }));
+  const { relation, disconnected } = joinRelations(relations);
+
+  const projected = project(relation, chosenSources.map(source =>
+    source && !disconnected.includes(source.table.name) ? source.column : null
+  ));
+
+  const surrogateIds = new Map();
   table.columns.forEach(col => {
-    if (col.sourceCols && col.sourceCols.length > 0) {
-      col.sourceCols.forEach(sourceCol => {
-        if (sourceCol.includes('.')) {
-          const tableName = sourceCol.split('.')[0];
-          referencedTables.add(tableName);
-        }
-      });
+    if (col.mappingType === 'surrogate' && col.sourceCols && col.sourceCols.length > 0) {
+      surrogateIds.set(col, createPreviousFormSurrogateKeys(col, savedTables, getPreviousRows));
     }
   });
-  
-  // If all columns reference a single table, use that table for iteration
-  if (referencedTables.size === 1) {
-    const targetTableName = Array.from(referencedTables)[0];
-    const targetTable = findMatchingTable(targetTableName);
-    if (targetTable && targetTable.saved && rawData) {
-      sourceTableForIteration = targetTable;
-      // For 3NF: generate 2NF from 1NF; for 2NF: generate 1NF from rawData
-      if (previousPreviousFormTables && previousPreviousFormTables.length > 0) {
-        sourceTableData = generateTableData(targetTable, rawData, previousPreviousFormTables);
-      } else {
-        sourceTableData = generateTableDataFromRaw(targetTable, rawData);
-      }
-    }
-  }
-
-  // Generate rows based on the source table's rows
-  // Use ALL rows from the source table to ensure we don't miss any
-  const rows = [];
-  for (let rowIdx = 0; rowIdx < sourceTableData.length; rowIdx++) {
-    const sourceRow = sourceTableData[rowIdx];
-    const newRow = [];
-    
-    table.columns.forEach((col, colIdx) => {
-      let value = '';
-      
-      if (col.mappingType === 'direct' && col.sourceCols && col.sourceCols.length > 0) {
-        // Direct mapping: get value from source column
-        // Try each sourceCol until we find a value
-        for (const sourceCol of col.sourceCols) {
-          value = getValueFromSource(sourceCol, rowIdx);
-          if (value) break;
-        }
-      } else if (col.mappingType === 'consolidate' && col.sourceCols && col.sourceCols.length > 0) {
-        // Consolidation from previous form: the source column already contains consolidated data
-        const columnName = col.name;
-        
-        // First, try the sourceCols (should be "tableName.columnName" format)
-        for (const sourceCol of col.sourceCols) {
-          value = getValueFromSource(sourceCol, rowIdx);
-          if (value) break;
-        }
-        
-        // If that didn't work, try finding by column name in previous tables as fallback
-        if (!value) {
-          value = getValueByColumnName(columnName, rowIdx);
-        }
 
-        if (!value) {
-          for (const sourceCol of col.sourceCols) {
-            const plainName = sourceCol.includes('.') ? sourceCol.split('.').pop() : sourceCol;
-            value = getValueByColumnName(plainName, rowIdx);
-            if (value) break;
-          }
-        }
-      } else if (col.mappingType === 'metadata' && col.sourceCols && col.sourceCols.length > 0) {
-        // Metadata: get the actual value from the previous table's metadata column
-        const columnName = col.name;
-        
-        // First, try the sourceCols (should be "tableName.columnName" format)
-        for (const sourceCol of col.sourceCols) {
-          value = getValueFromSource(sourceCol, rowIdx);
-          if (value) break;
-        }
-        
-        // If that didn't work, try finding by column name in previous tables as fallback
-        if (!value) {
-          value = getValueByColumnName(columnName, rowIdx);
-        }
-
-        if (!value) {
-          for (const sourceCol of col.sourceCols) {
-            const plainName = sourceCol.includes('.') ? sourceCol.split('.').pop() : sourceCol;
-            value = getValueByColumnName(plainName, rowIdx);
-            if (value) break;
-          }
-        }
-      }
-      
-      newRow.push(value);
-    });
-    
-    // Always add the row - even if some values are empty, they might be valid empty values
-    // or the lookup might have failed (which we'll handle separately)
-    rows.push(newRow);
-  }
-
-  // For tables with primary keys, deduplicate based on PK values
-  // For relationship tables (with both FK and PK), include FK columns in the key
-  // For tables without PKs, remove only truly identical rows
-  const pkColumnIndices = [];
-  const fkColumnIndices = [];
-  table.columns.forEach((col, idx) => {
-    if (col.type === 'PK') {
-      pkColumnIndices.push(idx);
-    } else if (col.type === 'FK') {
-      fkColumnIndices.push(idx);
+  const rows = projected.rows.map(values => table.columns.map((col, colIdx) => {
+    const columnValues = columnFields[colIdx].map(fieldIdx => values[fieldIdx]);
+    if (surrogateIds.has(col)) {
+      return surrogateIds.get(col)(columnValues);
     }
-  });
+    return columnValues.length > 0 ? columnValues[0] : '';
+  }));
 
-  if (pkColumnIndices.length > 0) {
-    // For relationship tables (with both FK and PK), use composite key
-    // For entity tables (only PK, no FK), use PK only
-    const keyColumnIndices = fkColumnIndices.length > 0 
-      ? [...fkColumnIndices, ...pkColumnIndices]  // Relationship table: FK + PK
-      : pkColumnIndices;  // Entity table: PK only
-    
-    const uniqueRows = [];
-    const seenKeys = new Set();
-    
-    rows.forEach(row => {
-      // Create a key from key column values (FK + PK for relationship tables, PK only for entity tables)
-      const key = JSON.stringify(keyColumnIndices.map(idx => row[idx]));
-      
-      // Only add if we haven't seen this key combination before
-      if (!seenKeys.has(key)) {
-        seenKeys.add(key);
-        uniqueRows.push(row);
-      }
-    });
-    
-    return uniqueRows;
-  }
+  // A relation holds no all-empty tuples
+  return distinctRows(rows).filter(row => row.some(hasValue));
+}
 
-  // For tables without PKs, remove only truly identical rows
-  const uniqueRows = [];
-  const seenRows = new Set();
-  rows.forEach((row) => {
-    const key = JSON.stringify(row);
-    if (!seenRows.has(key)) {
-      seenRows.add(key);
-      uniqueRows.push(row);
-    }
+/**
+ * Number the natural-key combinations of a surrogate column built from the previous form
+ * IDs are numbered over every previous table holding all of the natural-key columns, in
+ * table order, so surrogate columns over the same natural key get the same IDs whichever
+ * of those tables they name
+ * @param {Object} column - Surrogate column definition
+ * @param {Array} tables - Previous form's saved tables
+ * @param {Function} getRows - Returns a previous table's generated rows
+ * @returns {Function} Returns the surrogate ID of a combination ('' if it has none)
+ */
+function createPreviousFormSurrogateKeys(column, tables, getRows) {
+  const keyNames = column.sourceCols.map(sourceCol => normalizeName(sourceCol.split('.').pop()));
+  const combinations = [];
+  tables.forEach(t => {
+    const names = t.columns.map(col => normalizeName(col.name));
+    const indices = keyNames.map(name => names.indexOf(name));
+    if (indices.includes(-1)) return;
+    getRows(t).forEach(row => combinations.push(indices.map(idx => row[idx])));
   });
-
-  return uniqueRows;
+  return createSurrogateKeys(combinations);
 }
 
 /**
@@ -709,7 +573,7 @@ export function getMappedColumns(tables) {
  * Get mapping statistics
  * @param {Array} tables - Array of table definitions
  * @param {Array} rawColumns - Array of raw data column names (for 1NF)
- * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF)
+ * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF/BCNF)
  * @returns {Object} Statistics object
  */
 export function getMappingStats(tables, rawColumns, previousFormTables = null) {
@@ -747,7 +611,7 @@ export function getMappingStats(tables, rawColumns, previousFormTables = null) {
  * Get available source columns for column mapping dialog
  * Returns columns from previous form tables (for 2NF/3NF) or raw data (for 1NF)
  * @param {Object} rawData - Raw data object (for 1NF)
- * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF)
+ * @param {Array} previousFormTables - Previous form's tables (for 2NF/3NF/BCNF)
  * @returns {Array} Array of column names
  */
 export function getAvailableSourceColumns(rawData, previousFormTables = null) {
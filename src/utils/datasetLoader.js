@@ -7,6 +7,26 @@
 // Note: In Vite, we can use import.meta.glob to dynamically import files
 const datasetModules = import.meta.glob('../datasets/*.json', { eager: true });
 
+/**
+ * Normalization forms in teaching order
+ * 1NF-3NF are required in every dataset; later forms are optional and only
+ * offered when the dataset provides a solution for them
+ */
+export const NORMALIZATION_FORMS = ['1NF', '2NF', '3NF', 'BCNF', '4NF'];
+export const REQUIRED_FORMS = ['1NF', '2NF', '3NF'];
+
+/**
+ * Get the normalization forms a dataset can be practiced in
+ * @param {Object} dataset - Dataset object
+ * @returns {Array} Form names in order, e.g. ['1NF', '2NF', '3NF', 'BCNF', '4NF']
+ */
+export function getDatasetForms(dataset) {
+  if (!dataset || !dataset.solutions) return REQUIRED_FORMS;
+  return NORMALIZATION_FORMS.filter(form =>
+    REQUIRED_FORMS.includes(form) || dataset.solutions[form]
+  );
+}
+
 /**
  * Load uploaded datasets from localStorage
  * @returns {Array} Array of uploaded dataset objects
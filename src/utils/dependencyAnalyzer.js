@@ -0,0 +1,471 @@
+/**
+ * Dependency Analyzer Utility
+ * Infers candidate functional dependencies (X → Y) and multivalued dependencies
+ * (X →→ Y) from the actual data rows, either from rawData or from a table preview
+ * produced by generateTableData
+ */
+
+import { hasValue, cellKey } from './valueHelpers';
+
+/**
+ * Generate all combinations of the given size from an array of indices
+ */
+function combinations(items, size) {
+  const result = [];
+  const combo = [];
+
+  const walk = (start) => {
+    if (combo.length === size) {
+      result.push([...combo]);
+      return;
+    }
+    for (let i = start; i < items.length; i++) {
+      combo.push(items[i]);
+      walk(i + 1);
+      combo.pop();
+    }
+  };
+
+  walk(0);
+  return result;
+}
+
+/**
+ * Group row indices by their values in the determinant columns
+ * Rows with an empty value in any determinant column are skipped, since an
+ * empty cell (e.g. an unused TREATMENT2 slot) does not identify anything
+ * @returns {Map} Map of determinant key to array of row indices
+ */
+function groupRowsBy(rows, determinantIndices) {
+  const groups = new Map();
+  rows.forEach((row, rowIdx) => {
+    const values = determinantIndices.map(idx => row[idx]);
+    if (!values.every(hasValue)) return;
+    const key = JSON.stringify(values.map(cellKey));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(rowIdx);
+  });
+  return groups;
+}
+
+/**
+ * Find two rows in the same group that differ on at least one of the given columns
+ * Used to prove a dependency: the rows share the determinant (and so the dependent
+ * value), yet are different entities because they differ on the key
+ * @returns {Array|null} Pair of row indices, or null if no group has such a pair
+ */
+function findEvidenceRows(rows, groups, differingIndices) {
+  for (const rowIndices of groups.values()) {
+    if (rowIndices.length < 2) continue;
+    const firstIdx = rowIndices[0];
+    const otherIdx = rowIndices.slice(1).find(idx =>
+      differingIndices.some(colIdx => cellKey(rows[idx][colIdx]) !== cellKey(rows[firstIdx][colIdx]))
+    );
+    if (otherIdx !== undefined) {
+      return [firstIdx, otherIdx];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a functional dependency holds in the rows and collect evidence
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Array} determinant - Column names on the left side (X)
+ * @param {string} dependent - Column name on the right side (Y)
+ * @returns {Object} { holds, support, violations } where each violation is a pair of
+ *   rows that agree on X but disagree on Y: { rowIndices, determinantValues, dependentValues }
+ */
+export function checkFunctionalDependency(columns, rows, determinant, dependent) {
+  const determinantIndices = determinant.map(name => columns.indexOf(name));
+  const dependentIdx = columns.indexOf(dependent);
+
+  if (determinantIndices.some(idx => idx === -1) || dependentIdx === -1) {
+    return { holds: false, support: 0, violations: [] };
+  }
+
+  const groups = groupRowsBy(rows, determinantIndices);
+  const violations = [];
+  let support = 0;
+
+  groups.forEach(rowIndices => {
+    if (rowIndices.length < 2) return;
+    support++;
+
+    // Compare every other row in the group against the first row
+    const firstIdx = rowIndices[0];
+    const firstValue = cellKey(rows[firstIdx][dependentIdx]);
+    for (const otherIdx of rowIndices.slice(1)) {
+      const otherValue = cellKey(rows[otherIdx][dependentIdx]);
+      if (otherValue !== firstValue) {
+        violations.push({
+          rowIndices: [firstIdx, otherIdx],
+          determinantValues: determinantIndices.map(idx => rows[firstIdx][idx]),
+          dependentValues: [rows[firstIdx][dependentIdx], rows[otherIdx][dependentIdx]]
+        });
+      }
+    }
+  });
+
+  return { holds: violations.length === 0, support, violations };
+}
+
+/**
+ * Find candidate functional dependencies that hold in the given rows
+ * Only minimal determinants are returned: if DEPT_ID → DEPT_NAME holds,
+ * {DEPT_ID, DOCTOR_ID} → DEPT_NAME is not reported
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Object} options - Search options
+ * @param {number} options.maxDeterminantSize - Largest determinant to try (default 2)
+ * @param {boolean} options.includeKeyDependencies - Also report dependencies whose determinant
+ *   is unique in every row (a key), which hold trivially for every column (default false)
+ * @returns {Array} Array of { determinant, dependent, support, isKey } objects, where support is
+ *   the number of determinant values shared by two or more rows (how much evidence backs it)
+ */
+export function findFunctionalDependencies(columns, rows, options = {}) {
+  const {
+    maxDeterminantSize = 2,
+    includeKeyDependencies = false
+  } = options;
+
+  if (!columns || columns.length === 0 || !rows || rows.length === 0) {
+    return [];
+  }
+
+  const columnIndices = columns.map((_, idx) => idx);
+
+  // Constant or entirely empty columns are determined by anything, so they carry no information
+  const informativeIndices = columnIndices.filter(idx => {
+    const distinct = new Set(rows.map(row => cellKey(row[idx])));
+    return distinct.size > 1;
+  });
+
+  const dependencies = [];
+  // Track determinants already found per dependent column to keep results minimal
+  const foundDeterminants = new Map(columnIndices.map(idx => [idx, []]));
+
+  for (let size = 1; size <= maxDeterminantSize; size++) {
+    combinations(informativeIndices, size).forEach(determinantIndices => {
+      const groups = groupRowsBy(rows, determinantIndices);
+      const rowsCovered = Array.from(groups.values()).reduce((sum, g) => sum + g.length, 0);
+      const isKey = groups.size > 0 && groups.size === rowsCovered;
+
+      if (isKey && !includeKeyDependencies) return;
+
+      const sharedGroups = Array.from(groups.values()).filter(g => g.length > 1);
+
+      informativeIndices.forEach(dependentIdx => {
+        if (determinantIndices.includes(dependentIdx)) return;
+
+        // Skip if a subset of this determinant already determines the column
+        const alreadyCovered = foundDeterminants.get(dependentIdx).some(found =>
+          found.every(idx => determinantIndices.includes(idx))
+        );
+        if (alreadyCovered) return;
+
+        const holds = sharedGroups.every(group => {
+          const firstValue = cellKey(rows[group[0]][dependentIdx]);
+          return group.every(rowIdx => cellKey(rows[rowIdx][dependentIdx]) === firstValue);
+        });
+
+        if (holds) {
+          foundDeterminants.get(dependentIdx).push(determinantIndices);
+          dependencies.push({
+            determinant: determinantIndices.map(idx => columns[idx]),
+            dependent: columns[dependentIdx],
+            support: sharedGroups.length,
+            isKey
+          });
+        }
+      });
+    });
+  }
+
+  return dependencies;
+}
+
+/**
+ * Find non-key columns that depend on only part of a composite key (2NF violations)
+ * A partial dependency is only reported when the rows back it up: at least two rows
+ * share the partial key value, differ on the rest of the key, and agree on the column
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Array} keyColumns - Column names forming the composite key
+ * @returns {Array} Array of { dependent, determinant, key, evidenceRowIndices } objects
+ */
+export function findPartialDependencies(columns, rows, keyColumns) {
+  if (!keyColumns || keyColumns.length < 2) return [];
+
+  const keyIndices = keyColumns.map(name => columns.indexOf(name));
+  if (keyIndices.some(idx => idx === -1)) return [];
+
+  const nonKeyColumns = columns.filter(name => !keyColumns.includes(name));
+  const results = [];
+  const reported = new Set();
+
+  // Try the smallest parts of the key first so the most specific determinant is reported
+  for (let size = 1; size < keyColumns.length; size++) {
+    combinations(keyColumns, size).forEach(partialKey => {
+      const partialIndices = partialKey.map(name => columns.indexOf(name));
+      const remainingIndices = keyIndices.filter(idx => !partialIndices.includes(idx));
+      const groups = groupRowsBy(rows, partialIndices);
+
+      nonKeyColumns.forEach(dependent => {
+        if (reported.has(dependent)) return;
+
+        const check = checkFunctionalDependency(columns, rows, partialKey, dependent);
+        if (!check.holds || check.support === 0) return;
+
+        // Find two rows with the same partial key but a different full key
+        const evidenceRowIndices = findEvidenceRows(rows, groups, remainingIndices);
+        if (!evidenceRowIndices) return;
+
+        reported.add(dependent);
+        results.push({
+          dependent,
+          determinant: partialKey,
+          key: keyColumns,
+          evidenceRowIndices
+        });
+      });
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Find non-key columns that depend on another non-key column (3NF violations)
+ * As with partial dependencies, a transitive dependency X → Y is only reported when
+ * two rows with different keys share the same X value and agree on Y
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Array} keyColumns - Column names forming the key
+ * @param {Array} preferredDeterminants - Non-key columns to try first as X (e.g. FK columns),
+ *   so DEPT_ID → DEPT_NAME is reported rather than DEPT_NAME → DEPT_ID
+ * @returns {Array} Array of { dependent, determinant, key, evidenceRowIndices } objects
+ */
+export function findTransitiveDependencies(columns, rows, keyColumns, preferredDeterminants = []) {
+  if (!keyColumns || keyColumns.length === 0) return [];
+
+  const keyIndices = keyColumns.map(name => columns.indexOf(name));
+  if (keyIndices.some(idx => idx === -1)) return [];
+
+  const nonKeyColumns = columns.filter(name => !keyColumns.includes(name));
+  const determinants = [
+    ...preferredDeterminants.filter(name => nonKeyColumns.includes(name)),
+    ...nonKeyColumns.filter(name => !preferredDeterminants.includes(name))
+  ];
+  const results = [];
+  const reported = new Set();
+
+  determinants.forEach(determinant => {
+    const determinantIdx = columns.indexOf(determinant);
+    const groups = groupRowsBy(rows, [determinantIdx]);
+
+    nonKeyColumns.forEach(dependent => {
+      if (dependent === determinant || reported.has(dependent)) return;
+      // Columns already reported as dependents are not used as determinants, so a
+      // one-to-one pair (DEPT_ID ↔ DEPT_NAME) is reported once, from the preferred side
+      if (reported.has(determinant)) return;
+
+      const check = checkFunctionalDependency(columns, rows, [determinant], dependent);
+      if (!check.holds || check.support === 0) return;
+
+      // Find two rows with the same determinant value but a different key
+      const evidenceRowIndices = findEvidenceRows(rows, groups, keyIndices);
+      if (!evidenceRowIndices) return;
+
+      reported.add(dependent);
+      results.push({
+        dependent,
+        determinant: [determinant],
+        key: keyColumns,
+        evidenceRowIndices
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Find non-key columns that determine part of a composite key (BCNF violations)
+ * These survive 3NF because the dependent is a key column, e.g. in
+ * (STUDENT_ID, COURSE, INSTRUCTOR) each INSTRUCTOR teaches one COURSE
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Array} keyColumns - Column names forming the composite key
+ * @returns {Array} Array of { dependent, determinant, key, evidenceRowIndices } objects
+ */
+export function findBcnfViolations(columns, rows, keyColumns) {
+  if (!keyColumns || keyColumns.length < 2) return [];
+
+  const keyIndices = keyColumns.map(name => columns.indexOf(name));
+  if (keyIndices.some(idx => idx === -1)) return [];
+
+  const nonKeyColumns = columns.filter(name => !keyColumns.includes(name));
+  const results = [];
+
+  nonKeyColumns.forEach(determinant => {
+    const groups = groupRowsBy(rows, [columns.indexOf(determinant)]);
+
+    keyColumns.forEach(dependent => {
+      const check = checkFunctionalDependency(columns, rows, [determinant], dependent);
+      if (!check.holds || check.support === 0) return;
+
+      // Find two rows with the same determinant value but a different key
+      const evidenceRowIndices = findEvidenceRows(rows, groups, keyIndices);
+      if (!evidenceRowIndices) return;
+
+      results.push({
+        dependent,
+        determinant: [determinant],
+        key: keyColumns,
+        evidenceRowIndices
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Find multivalued dependencies X →→ Y | Z, where Z is every other column
+ * X →→ Y holds when, for each X value, the table pairs every Y value with every
+ * Z value: Y and Z are independent facts about X (e.g. a doctor's specializations
+ * and languages) and storing them together repeats each one for every other.
+ * Only reported when some X value has at least two Y values and two Z values,
+ * since smaller groups are a cross product by coincidence
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @returns {Array} Array of { determinant, dependent, independent, multivalued, evidenceRowIndices } objects
+ */
+export function findMultivaluedDependencies(columns, rows) {
+  if (columns.length < 3) return [];
+
+  const results = [];
+
+  columns.forEach((determinant, determinantIdx) => {
+    const groups = groupRowsBy(rows, [determinantIdx]);
+    const reportedForDeterminant = [];
+
+    columns.forEach((dependent, dependentIdx) => {
+      if (dependentIdx === determinantIdx) return;
+      // X →→ Y implies X →→ Z, so don't report the same split twice
+      if (reportedForDeterminant.some(dep => dep.independent.includes(dependent))) return;
+
+      const independentIndices = columns
+        .map((_, idx) => idx)
+        .filter(idx => idx !== determinantIdx && idx !== dependentIdx);
+      const independentKey = (row) => JSON.stringify(independentIndices.map(idx => cellKey(row[idx])));
+
+      let holds = true;
+      let evidenceRowIndices = null;
+
+      for (const rowIndices of groups.values()) {
+        const pairs = new Map();
+        const dependentValues = [];
+        const independentValues = [];
+        rowIndices.forEach(rowIdx => {
+          const y = cellKey(rows[rowIdx][dependentIdx]);
+          const z = independentKey(rows[rowIdx]);
+          if (!dependentValues.includes(y)) dependentValues.push(y);
+          if (!independentValues.includes(z)) independentValues.push(z);
+          pairs.set(JSON.stringify([y, z]), rowIdx);
+        });
+
+        if (pairs.size !== dependentValues.length * independentValues.length) {
+          holds = false;
+          break;
+        }
+
+        if (!evidenceRowIndices && dependentValues.length >= 2 && independentValues.length >= 2) {
+          const [y1, y2] = dependentValues;
+          const [z1, z2] = independentValues;
+          evidenceRowIndices = [[y1, z1], [y1, z2], [y2, z1], [y2, z2]]
+            .map(pair => pairs.get(JSON.stringify(pair)));
+        }
+      }
+
+      if (!holds || !evidenceRowIndices) return;
+
+      const dependency = {
+        determinant: [determinant],
+        dependent,
+        independent: independentIndices.map(idx => columns[idx]),
+        multivalued: true,
+        evidenceRowIndices
+      };
+      reportedForDeterminant.push(dependency);
+      results.push(dependency);
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Find the minimal candidate keys of a table from its rows
+ * A candidate key is a set of columns with no empty cells whose values are unique
+ * across rows, and none of its subsets is unique too. Found from the rows alone,
+ * so on small samples some keys may hold only by coincidence
+ * @param {Array} columns - Column names, in row order
+ * @param {Array} rows - Array of rows (arrays of values)
+ * @param {Object} options - { maxKeySize: largest key to look for (default 3) }
+ * @returns {Array} Array of column-name arrays, smallest keys first
+ *   (identifier-like columns first within a size)
+ */
+export function findCandidateKeys(columns, rows, options = {}) {
+  const { maxKeySize = 3 } = options;
+  if (rows.length === 0) return [];
+
+  // Columns with an empty cell can't be part of a key
+  const usableIndices = columns
+    .map((_, idx) => idx)
+    .filter(idx => rows.every(row => hasValue(row[idx])));
+
+  const keys = [];
+  for (let size = 1; size <= Math.min(maxKeySize, usableIndices.length); size++) {
+    combinations(usableIndices, size).forEach(keyIndices => {
+      // Only minimal keys: skip supersets of a key we already have
+      if (keys.some(key => key.every(idx => keyIndices.includes(idx)))) return;
+
+      const groups = groupRowsBy(rows, keyIndices);
+      if (groups.size === rows.length) {
+        keys.push(keyIndices);
+      }
+    });
+  }
+
+  // Within a size, identifier-like columns (STUDENT_ID, ISBN...) are the more likely real keys
+  const identifierScore = (keyIndices) =>
+    keyIndices.filter(idx => /(^|_)(ID|NO|NUM|CODE|KEY|ISBN)$/i.test(columns[idx])).length;
+
+  return keys
+    .map((keyIndices, order) => ({ keyIndices, order }))
+    .sort((a, b) =>
+      a.keyIndices.length - b.keyIndices.length ||
+      identifierScore(b.keyIndices) - identifierScore(a.keyIndices) ||
+      a.order - b.order
+    )
+    .map(({ keyIndices }) => keyIndices.map(idx => columns[idx]));
+}
+
+/**
+ * Format a dependency for display, e.g. "DEPT_ID → DEPT_NAME"
+ * Multivalued dependencies use a double arrow, e.g. "DOCTOR_ID →→ LANGUAGE"
+ * @param {Object} dependency - Dependency object with determinant and dependent
+ * @returns {string}
+ */
+export function formatDependency(dependency) {
+  const determinant = dependency.determinant.length > 1
+    ? `{${dependency.determinant.join(', ')}}`
+    : dependency.determinant[0];
+  const arrow = dependency.multivalued ? '→→' : '→';
+  return `${determinant} ${arrow} ${dependency.dependent}`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Dependency Preservation Utility
+ * Checks whether a decomposition still lets every functional dependency be enforced
+ * without joining tables. Dependencies and tables are compared by their 1NF column
+ * names, so renamed columns (e.g. STATE from CUSTOMER_STATE) still line up
+ */
+
+import { resolveOriginColumnName } from './joinVerifier';
+import { normalizeName } from './valueHelpers';
+
+/**
+ * Compute the closure of a set of attributes under a set of dependencies
+ * @param {Array} attributes - Normalized column names
+ * @param {Array} dependencies - Array of { determinant, dependent } with normalized names
+ * @returns {Set} Every attribute the given attributes determine
+ */
+export function attributeClosure(attributes, dependencies) {
+  const closure = new Set(attributes);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    dependencies.forEach(dep => {
+      if (!closure.has(dep.dependent) && dep.determinant.every(name => closure.has(name))) {
+        closure.add(dep.dependent);
+        changed = true;
+      }
+    });
+  }
+  return closure;
+}
+
+/**
+ * Get the functional dependencies a dataset is designed around
+ * Uses the dataset's `functionalDependencies` when declared; otherwise reads them off
+ * the 3NF solution, where each table's PK determines the table's other columns
+ * @param {Object} dataset - Dataset object
+ * @returns {Array} Array of { determinant, dependent } using 1NF column names
+ */
+export function getDatasetDependencies(dataset) {
+  if (!dataset || !dataset.solutions) return [];
+
+  if (Array.isArray(dataset.functionalDependencies)) {
+    return dataset.functionalDependencies.flatMap(dep => {
+      const dependents = Array.isArray(dep.dependent) ? dep.dependent : [dep.dependent];
+      return dependents.map(dependent => ({ determinant: dep.determinant, dependent }));
+    });
+  }
+
+  const finalTables = dataset.solutions['3NF']?.tables || [];
+  const earlierForms = ['2NF', '1NF']
+    .map(form => dataset.solutions[form]?.tables)
+    .filter(Boolean);
+
+  const dependencies = [];
+  finalTables.forEach(table => {
+    const keyColumns = table.columns.filter(col => col.type === 'PK');
+    if (keyColumns.length === 0) return;
+    const determinant = keyColumns.map(col => resolveOriginColumnName(col, earlierForms));
+    table.columns
+      .filter(col => col.type !== 'PK')
+      .forEach(col => {
+        dependencies.push({ determinant, dependent: resolveOriginColumnName(col, earlierForms) });
+      });
+  });
+  return dependencies;
+}
+
+/**
+ * Check which dependencies survive a decomposition
+ * - preserved: all of X and Y sit in one table, so that table's key/unique constraint enforces it
+ * - implied: no single table holds it, but it follows from dependencies that are preserved
+ * - lost: enforcing it would require joining tables
+ * @param {Array} dependencies - Array of { determinant, dependent } using 1NF column names
+ * @param {Array} userTables - User's saved tables for the current form
+ * @param {Array} earlierForms - User's tables of the earlier forms, nearest first (1NF last)
+ * @returns {Object} { preserved: [{ dependency, table }], implied: [dependency], lost: [dependency] }
+ */
+export function checkDependencyPreservation(dependencies, userTables, earlierForms = []) {
+  const tables = (userTables || [])
+    .filter(table => table.saved && table.columns.length > 0)
+    .map(table => ({
+      name: table.name,
+      columns: new Set(table.columns.map(col => normalizeName(resolveOriginColumnName(col, earlierForms))))
+    }));
+
+  const normalized = dependencies.map(dep => ({
+    determinant: dep.determinant.map(normalizeName),
+    dependent: normalizeName(dep.dependent)
+  }));
+
+  const result = { preserved: [], implied: [], lost: [] };
+
+  dependencies.forEach((dependency, idx) => {
+    const { determinant, dependent } = normalized[idx];
+    if (determinant.includes(dependent)) return;
+
+    const table = tables.find(t =>
+      determinant.every(name => t.columns.has(name)) && t.columns.has(dependent)
+    );
+    if (table) {
+      result.preserved.push({ dependency, table: table.name });
+      return;
+    }
+
+    // Closure of X using only what each table can enforce on its own columns:
+    // repeat Z = Z ∪ ((Z ∩ Ti)+ ∩ Ti) for every table Ti until nothing changes
+    const reached = new Set(determinant);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      tables.forEach(t => {
+        const local = [...reached].filter(name => t.columns.has(name));
+        attributeClosure(local, normalized).forEach(name => {
+          if (t.columns.has(name) && !reached.has(name)) {
+            reached.add(name);
+            changed = true;
+          }
+        });
+      });
+    }
+
+    if (reached.has(dependent)) {
+      result.implied.push(dependency);
+    } else {
+      result.lost.push(dependency);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,467 @@
+/**
+ * Expression Evaluator Utility
+ * A small, safe expression language for derived columns, e.g.
+ *   SPLIT_PART(PATIENT_NAME, ' ', 1)    first word of a name
+ *   YEAR(VISIT_DATE)                    year of an ISO or MM/DD/YYYY date
+ *   QUANTITY * UNIT_PRICE               arithmetic
+ *   CITY & ', ' & STATE                 concatenation
+ * Expressions are parsed into a tree and interpreted; nothing is ever passed to eval
+ */
+
+/**
+ * Functions an expression can call: argument count limits and implementation
+ * Arguments arrive as strings (or numbers from arithmetic); results become strings
+ */
+const FUNCTIONS = {
+  CONCAT: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    signature: 'CONCAT(a, b, ...)',
+    description: 'Join values together',
+    apply: (...values) => values.map(toText).join('')
+  },
+  SUBSTR: {
+    minArgs: 2,
+    maxArgs: 3,
+    signature: 'SUBSTR(text, start, length)',
+    description: 'Part of the text, counting from 1 (a negative start counts from the end)',
+    apply: (value, start, length) => {
+      const text = toText(value);
+      const startNumber = toInteger(start);
+      if (startNumber === null) return '';
+      const from = startNumber < 0 ? Math.max(text.length + startNumber, 0) : Math.max(startNumber - 1, 0);
+      if (length === undefined) return text.slice(from);
+      const lengthNumber = toInteger(length);
+      return lengthNumber === null || lengthNumber < 0 ? '' : text.slice(from, from + lengthNumber);
+    }
+  },
+  LEFT: {
+    minArgs: 2,
+    maxArgs: 2,
+    signature: 'LEFT(text, n)',
+    description: 'First n characters',
+    apply: (value, count) => {
+      const n = toInteger(count);
+      return n === null || n < 0 ? '' : toText(value).slice(0, n);
+    }
+  },
+  RIGHT: {
+    minArgs: 2,
+    maxArgs: 2,
+    signature: 'RIGHT(text, n)',
+    description: 'Last n characters',
+    apply: (value, count) => {
+      const n = toInteger(count);
+      return n === null || n <= 0 ? '' : toText(value).slice(-n);
+    }
+  },
+  SPLIT_PART: {
+    minArgs: 3,
+    maxArgs: 3,
+    signature: 'SPLIT_PART(text, delimiter, n)',
+    description: 'The nth piece of the text, counting from 1 (a negative n counts from the end)',
+    apply: (value, delimiter, index) => {
+      const n = toInteger(index);
+      const separator = toText(delimiter);
+      if (n === null || n === 0 || separator === '') return '';
+      const parts = toText(value).trim().split(separator).map(part => part.trim());
+      const part = n > 0 ? parts[n - 1] : parts[parts.length + n];
+      return part === undefined ? '' : part;
+    }
+  },
+  TRIM: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'TRIM(text)',
+    description: 'Remove surrounding spaces',
+    apply: value => toText(value).trim()
+  },
+  UPPER: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'UPPER(text)',
+    description: 'Upper-case text',
+    apply: value => toText(value).toUpperCase()
+  },
+  LOWER: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'LOWER(text)',
+    description: 'Lower-case text',
+    apply: value => toText(value).toLowerCase()
+  },
+  LENGTH: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'LENGTH(text)',
+    description: 'Number of characters',
+    apply: value => toText(value).length
+  },
+  ROUND: {
+    minArgs: 1,
+    maxArgs: 2,
+    signature: 'ROUND(number, digits)',
+    description: 'Round to the given number of decimal places (0 by default)',
+    apply: (value, digits = 0) => {
+      const number = toNumber(value);
+      const places = toInteger(digits);
+      if (number === null || places === null) return '';
+      const factor = 10 ** places;
+      return Math.round(number * factor) / factor;
+    }
+  },
+  YEAR: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'YEAR(date)',
+    description: 'Year of a date',
+    apply: value => parseDate(value)?.year ?? ''
+  },
+  MONTH: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'MONTH(date)',
+    description: 'Month (1-12) of a date',
+    apply: value => parseDate(value)?.month ?? ''
+  },
+  DAY: {
+    minArgs: 1,
+    maxArgs: 1,
+    signature: 'DAY(date)',
+    description: 'Day of the month of a date',
+    apply: value => parseDate(value)?.day ?? ''
+  }
+};
+
+// Binding strength of each binary operator: concatenation binds loosest
+const PRECEDENCE = { '&': 1, '+': 2, '-': 2, '*': 3, '/': 3, '%': 3 };
+
+/**
+ * The functions expressions can use, for help text
+ * @returns {Array} Array of { name, signature, description }
+ */
+export function getExpressionFunctions() {
+  return Object.entries(FUNCTIONS).map(([name, fn]) => ({
+    name,
+    signature: fn.signature,
+    description: fn.description
+  }));
+}
+
+/**
+ * Turn a value into text, with null and undefined as empty text
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'number' ? formatNumber(value) : String(value);
+}
+
+/**
+ * Turn a value into a number, or null for empty and non-numeric values
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = toText(value).trim();
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Turn a value into a whole number, or null if it isn't one
+ */
+function toInteger(value) {
+  const number = toNumber(value);
+  return number !== null && Number.isInteger(number) ? number : null;
+}
+
+/**
+ * Format a number without floating-point noise (0.1 + 0.2 gives "0.3")
+ */
+function formatNumber(number) {
+  return String(Number(number.toFixed(10)));
+}
+
+/**
+ * Read the parts of a date written as YYYY-MM-DD (optionally followed by a time)
+ * or MM/DD/YYYY
+ * @returns {Object|null} { year, month, day }, or null if the value isn't a date
+ */
+function parseDate(value) {
+  const text = toText(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (match) {
+    return checkDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return checkDate(Number(match[3]), Number(match[1]), Number(match[2]));
+  }
+  return null;
+}
+
+/**
+ * Return the date parts if they form a real calendar date
+ */
+function checkDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? { year, month, day } : null;
+}
+
+/**
+ * Split an expression into tokens
+ * Column names are letters, digits, underscores and dots ("TABLE.COLUMN"); names with
+ * other characters are written in square brackets, e.g. [VISIT DATE]
+ * @param {string} text - Expression text
+ * @returns {Array} Array of { type, value, position }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+      tokens.push({ type: 'name', value: match[0], position: i });
+      i += match[0].length;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new Error(`Missing ] for the column name at position ${i + 1}`);
+      }
+      const name = text.slice(i + 1, end).trim();
+      if (!name) {
+        throw new Error(`Empty column name at position ${i + 1}`);
+      }
+      tokens.push({ type: 'column', value: name, position: i });
+      i = end + 1;
+    } else if (char === '\'' || char === '"') {
+      // Strings are quoted with ' or "; a doubled quote inside stands for one quote
+      let value = '';
+      let j = i + 1;
+      while (true) {
+        if (j >= text.length) {
+          throw new Error(`Missing closing ${char} for the text at position ${i + 1}`);
+        }
+        if (text[j] === char) {
+          if (text[j + 1] === char) {
+            value += char;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += text[j];
+        j++;
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else if ('+-*/%&(),'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}" at position ${i + 1}`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of nodes:
+ *   { type: 'number' | 'string', value }, { type: 'column', name },
+ *   { type: 'call', name, args }, { type: 'binary', operator, left, right },
+ *   { type: 'negate', operand }
+ * @param {string} text - Expression text
+ * @returns {Object} Root node
+ * @throws {Error} With a message pointing at the problem when the expression is invalid
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(text || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'the end of the expression');
+  const expect = (type) => {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" but found ${describe(token)}`);
+    }
+    index++;
+    return token;
+  };
+
+  // Binary operators by precedence climbing; all of them are left-associative
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+    while (peek() && PRECEDENCE[peek().type] >= minPrecedence) {
+      const operator = tokens[index++].type;
+      const right = parseBinary(PRECEDENCE[operator] + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === '-') {
+      index++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error(tokens.length === 0 ? 'The expression is empty' : 'The expression ends too early');
+    }
+    index++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: token.type, value: token.value };
+    }
+    if (token.type === 'column') {
+      return { type: 'column', name: token.value };
+    }
+    if (token.type === 'name') {
+      if (peek()?.type !== '(') {
+        return { type: 'column', name: token.value };
+      }
+      const name = token.value.toUpperCase();
+      const fn = FUNCTIONS[name];
+      if (!fn) {
+        throw new Error(`Unknown function ${token.value} (available: ${Object.keys(FUNCTIONS).join(', ')})`);
+      }
+      index++;
+      const args = [];
+      if (peek()?.type !== ')') {
+        args.push(parseBinary(1));
+        while (peek()?.type === ',') {
+          index++;
+          args.push(parseBinary(1));
+        }
+      }
+      expect(')');
+      if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+        throw new Error(`Wrong number of arguments for ${name}: use ${fn.signature}`);
+      }
+      return { type: 'call', name, args };
+    }
+    if (token.type === '(') {
+      const inner = parseBinary(1);
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+
+  const root = parseBinary(1);
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[index])}`);
+  }
+  return root;
+}
+
+/**
+ * List the columns an expression reads, in order of first use
+ * @param {Object} node - Parsed expression (see parseExpression)
+ * @returns {Array} Array of column names
+ */
+export function getExpressionColumns(node) {
+  const columns = [];
+  const visit = (current) => {
+    if (current.type === 'column') {
+      if (!columns.includes(current.name)) columns.push(current.name);
+    } else if (current.type === 'call') {
+      current.args.forEach(visit);
+    } else if (current.type === 'binary') {
+      visit(current.left);
+      visit(current.right);
+    } else if (current.type === 'negate') {
+      visit(current.operand);
+    }
+  };
+  visit(node);
+  return columns;
+}
+
+/**
+ * Write a parsed expression back out in a standard form (upper-case function names,
+ * single spaces, explicit parentheses), so equivalent spellings compare equal
+ * @param {Object} node - Parsed expression (see parseExpression)
+ * @returns {string} Expression text
+ */
+export function formatExpression(node) {
+  switch (node.type) {
+    case 'number':
+      return formatNumber(node.value);
+    case 'string':
+      return `'${node.value.replace(/'/g, '\'\'')}'`;
+    case 'column':
+      return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(node.name) ? node.name : `[${node.name}]`;
+    case 'call':
+      return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+    case 'binary':
+      return `(${formatExpression(node.left)} ${node.operator} ${formatExpression(node.right)})`;
+    case 'negate':
+      return `-${formatExpression(node.operand)}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Evaluate a parsed expression for one row
+ * Like NULL in SQL, arithmetic on an empty or non-numeric value gives an empty result,
+ * as does dividing by zero
+ * @param {Object} node - Parsed expression (see parseExpression)
+ * @param {Function} getColumnValue - Returns a column's value for the row, given its name
+ * @returns {string} The computed value
+ */
+export function evaluateExpression(node, getColumnValue) {
+  const evaluate = (current) => {
+    switch (current.type) {
+      case 'number':
+      case 'string':
+        return current.value;
+      case 'column':
+        return getColumnValue(current.name);
+      case 'call':
+        return FUNCTIONS[current.name].apply(...current.args.map(evaluate));
+      case 'negate': {
+        const number = toNumber(evaluate(current.operand));
+        return number === null ? '' : -number;
+      }
+      case 'binary': {
+        const left = evaluate(current.left);
+        const right = evaluate(current.right);
+        if (current.operator === '&') {
+          return toText(left) + toText(right);
+        }
+        const a = toNumber(left);
+        const b = toNumber(right);
+        if (a === null || b === null) return '';
+        switch (current.operator) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/': return b === 0 ? '' : a / b;
+          case '%': return b === 0 ? '' : a % b;
+          default: return '';
+        }
+      }
+      default:
+        return '';
+    }
+  };
+  return toText(evaluate(node));
+}
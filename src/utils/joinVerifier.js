@@ -0,0 +1,126 @@
+/**
+ * Join Verifier Utility
+ * Checks whether a decomposition is lossless: natural-joining the user's tables
+ * back together should give exactly the original (unpivoted) data
+ */
+
+import { generateTableData } from './dataTransformer';
+import { distinctRows, joinRelations } from './relationalAlgebra';
+import { findTableByName } from './referentialIntegrity';
+import { normalizeName, cellKey } from './valueHelpers';
+
+/**
+ * Trace a column back through the earlier forms to the 1NF column it came from
+ * A 3NF column STATE with sourceCols ["ORDERS.CUSTOMER_STATE"] resolves to the
+ * 2NF column ORDERS.CUSTOMER_STATE, and from there to the 1NF CUSTOMER_STATE,
+ * so renamed columns still line up with the unpivoted data.
+ * A surrogate column holds new values rather than its sources', so it keeps its own name
+ * @param {Object} column - Column definition
+ * @param {Array} earlierForms - Table lists of the earlier forms, nearest first (1NF last)
+ * @returns {string} The 1NF column name
+ */
+export function resolveOriginColumnName(column, earlierForms) {
+  if (earlierForms.length === 0 || column.mappingType === 'surrogate') return column.name;
+
+  const sourceCol = (column.sourceCols || []).find(src => src.includes('.'));
+  if (!sourceCol) return column.name;
+
+  const [tableName, columnName] = sourceCol.split('.', 2);
+  const sourceTable = findTableByName(tableName, earlierForms[0]);
+  const sourceColumn = sourceTable?.columns.find(c => normalizeName(c.name) === normalizeName(columnName));
+  if (!sourceColumn) return column.name;
+
+  return resolveOriginColumnName(sourceColumn, earlierForms.slice(1));
+}
+
+/**
+ * Turn a table into a relation whose columns carry their 1NF names
+ * If a table maps the same 1NF column twice, the first one wins
+ */
+function toRelation(table, rows, earlierForms) {
+  const columns = [];
+  const keyColumns = [];
+  const keptIndices = [];
+
+  table.columns.forEach((col, idx) => {
+    const name = resolveOriginColumnName(col, earlierForms);
+    if (columns.includes(name)) return;
+    columns.push(name);
+    keptIndices.push(idx);
+    const type = col.type?.toUpperCase();
+    if (type === 'PK' || type === 'FK') {
+      keyColumns.push(name);
+    }
+  });
+
+  return {
+    name: table.name,
+    columns,
+    keyColumns,
+    rows: rows.map(row => keptIndices.map(idx => row[idx]))
+  };
+}
+
+/**
+ * Verify that the user's tables for a form join back to the original data
+ * The reference is the raw data unpivoted by the dataset's 1NF solution.
+ * Both sides are compared on the columns they have in common:
+ * - spurious rows appear in the join but not in the original data (a lossy split on a non-key)
+ * - lost rows are in the original data but missing from the join (dangling or dropped rows)
+ * @param {Array} userTables - User's saved tables for the current form
+ * @param {Object} rawData - Original raw data
+ * @param {Array} referenceTables - 1NF solution tables used to unpivot the raw data
+ * @param {Array} earlierForms - User's tables of the earlier forms, nearest first (1NF last);
+ *   the same chain generateTableData takes after rawData
+ * @returns {Object} { isLossless, comparedColumns, missingColumns, joinedRowCount,
+ *   referenceRowCount, spuriousRows, lostRows, joinOrder, disconnectedTables }
+ */
+export function verifyLosslessJoin(userTables, rawData, referenceTables, earlierForms = []) {
+  const savedTables = (userTables || []).filter(table => table.saved && table.columns.length > 0);
+
+  // Reference: the raw data after unpivoting, joined back together if 1NF has several tables
+  const referenceRelations = (referenceTables || []).map(table =>
+    toRelation(table, generateTableData(table, rawData), [])
+  );
+  const reference = joinRelations(referenceRelations).relation;
+
+  // User's decomposition, with each table's rows generated through the form chain
+  const userRelations = savedTables.map(table =>
+    toRelation(table, generateTableData(table, rawData, ...earlierForms), earlierForms)
+  );
+  const { relation: joined, joinOrder, disconnected } = joinRelations(userRelations);
+
+  const referenceNames = reference.columns.map(normalizeName);
+  const comparedColumns = joined.columns.filter(name => referenceNames.includes(normalizeName(name)));
+  const missingColumns = reference.columns.filter(name =>
+    !joined.columns.some(joinedName => normalizeName(joinedName) === normalizeName(name))
+  );
+
+  const project = (relation, rows) => {
+    const indices = comparedColumns.map(name =>
+      relation.columns.findIndex(col => normalizeName(col) === normalizeName(name))
+    );
+    return distinctRows(rows.map(row => indices.map(idx => row[idx])));
+  };
+  const referenceRows = project(reference, reference.rows);
+  const joinedRows = project(joined, joined.rows);
+
+  const rowKey = (row) => JSON.stringify(row.map(cellKey));
+  const referenceKeys = new Set(referenceRows.map(rowKey));
+  const joinedKeys = new Set(joinedRows.map(rowKey));
+
+  const spuriousRows = joinedRows.filter(row => !referenceKeys.has(rowKey(row)));
+  const lostRows = referenceRows.filter(row => !joinedKeys.has(rowKey(row)));
+
+  return {
+    isLossless: comparedColumns.length > 0 && spuriousRows.length === 0 && lostRows.length === 0 && disconnected.length === 0,
+    comparedColumns,
+    missingColumns,
+    joinedRowCount: joinedRows.length,
+    referenceRowCount: referenceRows.length,
+    spuriousRows,
+    lostRows,
+    joinOrder,
+    disconnectedTables: disconnected
+  };
+}
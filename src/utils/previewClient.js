@@ -0,0 +1,181 @@
+/**
+ * Preview Client Utility
+ * Promise-based API for generating previews, and running the checks built on them,
+ * in the preview worker (previewWorker.js).
+ * Where workers aren't available, or the worker fails to start, the work is done
+ * on the main thread instead, so callers never need to check
+ */
+
+import { generateTableData } from './dataTransformer';
+import { validateSolution } from './validator';
+import { verifyLosslessJoin } from './joinVerifier';
+import { buildTableViews } from './anomalySimulator';
+
+// null until first use, false once the worker turns out to be unavailable
+let worker = null;
+
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// The raw data the worker holds; it keeps only the last one sent
+let nextRawDataId = 1;
+let sentRawData = null;
+let sentRawDataId = null;
+
+/**
+ * Stop using the worker and finish the waiting requests on the main thread
+ */
+function stopWorker() {
+  if (worker) worker.terminate();
+  worker = false;
+  sentRawData = null;
+  sentRawDataId = null;
+  pendingRequests.forEach(request => request.runLocally());
+  pendingRequests.clear();
+}
+
+/**
+ * Start the worker on first use
+ * @returns {Worker|false} The worker, or false if previews run on the main thread
+ */
+function getWorker() {
+  if (worker !== null) return worker;
+
+  if (typeof Worker === 'undefined') {
+    worker = false;
+    return worker;
+  }
+
+  try {
+    worker = new Worker(new URL('./previewWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    worker = false;
+    return worker;
+  }
+
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+  worker.onerror = () => stopWorker();
+  return worker;
+}
+
+/**
+ * Get the id the worker knows a raw data object by, sending it if the worker holds
+ * another one (which the worker then drops)
+ */
+function getRawDataId(activeWorker, rawData) {
+  if (!rawData || typeof rawData !== 'object') return null;
+  if (rawData !== sentRawData) {
+    const rawDataId = nextRawDataId++;
+    activeWorker.postMessage({ type: 'setRawData', rawDataId, rawData });
+    sentRawData = rawData;
+    sentRawDataId = rawDataId;
+  }
+  return sentRawDataId;
+}
+
+/**
+ * Send a request to the worker, or run it here if there is no worker
+ * @param {string} type - Request type the worker handles
+ * @param {Object} rawData - Raw data the request works on
+ * @param {Array} args - Remaining arguments (must be cloneable)
+ * @param {Function} runLocally - Computes the same result on the main thread
+ * @returns {Promise} Resolves with the result
+ */
+function runRequest(type, rawData, args, runLocally) {
+  const activeWorker = getWorker();
+  if (!activeWorker) {
+    return Promise.resolve().then(runLocally);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const request = {
+      resolve,
+      reject,
+      runLocally: () => {
+        try {
+          resolve(runLocally());
+        } catch (error) {
+          reject(error);
+        }
+      }
+    };
+    pendingRequests.set(id, request);
+
+    try {
+      activeWorker.postMessage({ id, type, rawDataId: getRawDataId(activeWorker, rawData), args });
+    } catch {
+      // Arguments that can't be sent to a worker are handled here instead
+      pendingRequests.delete(id);
+      request.runLocally();
+    }
+  });
+}
+
+/**
+ * Generate a table's preview in the worker
+ * Takes the same arguments as generateTableData
+ * @param {Object} table - Table definition with columns and mappings
+ * @param {Object} rawData - Raw data object with columns and rows
+ * @param {...Array} earlierForms - Earlier forms' tables, nearest first (1NF last)
+ * @returns {Promise<Array>} Resolves with the table's rows
+ */
+export function generateTableDataAsync(table, rawData, ...earlierForms) {
+  return runRequest('generateTableData', rawData, [table, ...earlierForms], () =>
+    generateTableData(table, rawData, ...earlierForms)
+  );
+}
+
+/**
+ * Validate a solution in the worker
+ * Takes the same arguments as validateSolution
+ * @param {Array} userTables - User's tables for the current form
+ * @param {Object} solution - The dataset's solution for the form
+ * @param {Object} context - Validation context, including rawData
+ * @returns {Promise<Object>} Resolves with the validation result
+ */
+export function validateSolutionAsync(userTables, solution, context = {}) {
+  const { rawData, ...rest } = context;
+  return runRequest('validateSolution', rawData, [userTables, solution, rest], () =>
+    validateSolution(userTables, solution, context)
+  );
+}
+
+/**
+ * Check in the worker that the user's tables join back into the original data
+ * Takes the same arguments as verifyLosslessJoin
+ * @param {Array} userTables - User's saved tables for the current form
+ * @param {Object} rawData - Original raw data
+ * @param {Array} referenceTables - 1NF solution tables used to unpivot the raw data
+ * @param {Array} earlierForms - User's tables of the earlier forms, nearest first (1NF last)
+ * @returns {Promise<Object>} Resolves with the join result
+ */
+export function verifyLosslessJoinAsync(userTables, rawData, referenceTables, earlierForms = []) {
+  return runRequest('verifyLosslessJoin', rawData, [userTables, referenceTables, earlierForms], () =>
+    verifyLosslessJoin(userTables, rawData, referenceTables, earlierForms)
+  );
+}
+
+/**
+ * Build the anomaly views of the user's saved tables in the worker
+ * Takes the same arguments as buildTableViews
+ * @param {Array} userTables - User's tables for the current form
+ * @param {Object} rawData - Original raw data
+ * @param {Array} earlierForms - User's tables of the earlier forms, nearest first (1NF last)
+ * @returns {Promise<Array>} Resolves with the table views
+ */
+export function buildTableViewsAsync(userTables, rawData, earlierForms = []) {
+  return runRequest('buildTableViews', rawData, [userTables, earlierForms], () =>
+    buildTableViews(userTables, rawData, earlierForms)
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * Preview Worker
+ * Generates table previews, and runs the checks built on them (validation, the
+ * lossless-join check and anomaly views), off the main thread so large datasets
+ * don't freeze the UI. Use it through previewClient.js rather than posting messages directly
+ */
+
+import { generateTableData } from './dataTransformer';
+import { validateSolution } from './validator';
+import { verifyLosslessJoin } from './joinVerifier';
+import { buildTableViews } from './anomalySimulator';
+
+// Raw data is sent once per dataset and referred to by id afterwards, so thousands
+// of rows aren't copied into the worker for every request. Only the dataset in use
+// is kept; sending another one replaces it
+let current = { rawDataId: null, rawData: null };
+
+// Each request type, called with the raw data and the arguments the client sent
+const handlers = {
+  generateTableData: (rawData, table, ...earlierForms) =>
+    generateTableData(table, rawData, ...earlierForms),
+  validateSolution: (rawData, userTables, solution, context) =>
+    validateSolution(userTables, solution, { ...context, rawData }),
+  verifyLosslessJoin: (rawData, userTables, referenceTables, earlierForms) =>
+    verifyLosslessJoin(userTables, rawData, referenceTables, earlierForms),
+  buildTableViews: (rawData, userTables, earlierForms) =>
+    buildTableViews(userTables, rawData, earlierForms)
+};
+
+self.onmessage = (event) => {
+  const { id, type, rawDataId, rawData, args } = event.data;
+
+  if (type === 'setRawData') {
+    current = { rawDataId, rawData };
+    return;
+  }
+
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown preview request: ${type}`);
+    }
+    if (rawDataId !== null && rawDataId !== current.rawDataId) {
+      throw new Error('The raw data for this request is no longer loaded');
+    }
+    const data = rawDataId === null ? null : current.rawData;
+    self.postMessage({ id, result: handler(data, ...args) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
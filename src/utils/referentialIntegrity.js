@@ -0,0 +1,104 @@
+/**
+ * Referential Integrity Utility
+ * Checks that every FK value in a table's generated preview exists among the
+ * PK values of the table it references
+ */
+
+import { normalizeName, hasValue } from './valueHelpers';
+
+/**
+ * Find a table by name, e.g. the table an FK column's foreignKeyTable names
+ * An exact name wins; otherwise a table whose name contains, or is contained in, the target
+ * @param {string} name - Table name
+ * @param {Array} tables - Tables to search
+ * @returns {Object|null} The table, or null if nothing matches
+ */
+export function findTableByName(name, tables) {
+  const target = normalizeName(name);
+  if (!target) return null;
+  return tables.find(t => normalizeName(t.name) === target) ||
+    tables.find(t => normalizeName(t.name).includes(target) || target.includes(normalizeName(t.name))) ||
+    null;
+}
+
+/**
+ * Find the table and PK column an FK column references
+ * Uses the column's foreignKeyTable when set; otherwise looks for another table
+ * with a PK column of the same name, preferring tables where it is the whole key
+ * @param {Object} fkColumn - FK column definition
+ * @param {Object} table - Table the FK column belongs to
+ * @param {Array} tables - All tables of the current form
+ * @returns {Object|null} { table, column } or null if nothing matches
+ */
+export function findReferencedColumn(fkColumn, table, tables) {
+  const fkName = normalizeName(fkColumn.name);
+  const pkColumnsOf = (t) => t.columns.filter(col => col.type?.toUpperCase() === 'PK');
+
+  if (fkColumn.foreignKeyTable) {
+    const referencedTable = findTableByName(fkColumn.foreignKeyTable, tables);
+    if (!referencedTable) return null;
+
+    const pkColumns = pkColumnsOf(referencedTable);
+    // Same-named PK column first; a single-column PK is also an unambiguous target
+    const column = pkColumns.find(col => normalizeName(col.name) === fkName) ||
+      (pkColumns.length === 1 ? pkColumns[0] : null);
+    return column ? { table: referencedTable, column } : null;
+  }
+
+  const candidates = tables
+    .filter(t => t.id !== table.id)
+    .map(t => ({ table: t, column: pkColumnsOf(t).find(col => normalizeName(col.name) === fkName) }))
+    .filter(candidate => candidate.column);
+
+  return candidates.find(candidate => pkColumnsOf(candidate.table).length === 1) || candidates[0] || null;
+}
+
+/**
+ * Find FK values in a table's preview that don't exist in the referenced PK column
+ * FK columns whose referenced table can't be found are skipped (e.g. a CUSTOMER_ID
+ * FK in 2NF before the CUSTOMER table exists)
+ * @param {Object} table - Table definition
+ * @param {Array} rows - The table's generated preview rows
+ * @param {Array} tables - All tables of the current form
+ * @param {Object} previews - Preview rows of the other tables, keyed by table id
+ * @returns {Array} Array of { column, referencedTable, referencedColumn, orphanedValues }
+ */
+export function checkReferentialIntegrity(table, rows, tables, previews) {
+  const issues = [];
+
+  table.columns.forEach((col, colIdx) => {
+    if (col.type?.toUpperCase() !== 'FK') return;
+
+    const reference = findReferencedColumn(col, table, tables);
+    if (!reference) return;
+
+    const referencedRows = previews[reference.table.id];
+    if (!referencedRows) return;
+
+    const referencedIdx = reference.table.columns.indexOf(reference.column);
+    const referencedValues = new Set(
+      referencedRows.map(row => row[referencedIdx]).filter(hasValue).map(value => String(value).trim())
+    );
+
+    const orphanedValues = [];
+    rows.forEach(row => {
+      const value = row[colIdx];
+      if (!hasValue(value)) return;
+      const key = String(value).trim();
+      if (!referencedValues.has(key) && !orphanedValues.includes(key)) {
+        orphanedValues.push(key);
+      }
+    });
+
+    if (orphanedValues.length > 0) {
+      issues.push({
+        column: col.name,
+        referencedTable: reference.table.name,
+        referencedColumn: reference.column.name,
+        orphanedValues
+      });
+    }
+  });
+
+  return issues;
+}
@@ -0,0 +1,141 @@
+/**
+ * Relational Algebra Utility
+ * Projection, distinct and natural join over relations of the form { columns, rows }.
+ * Previews of later forms and the lossless-join check are both built from these
+ */
+
+import { cellKey } from './valueHelpers';
+
+/**
+ * Project a relation onto some of its columns, in the given order
+ * A column name that is null or not in the relation gives an empty column
+ * @param {Object} relation - { columns, rows }
+ * @param {Array} columns - Column names to keep
+ * @returns {Object} { columns, rows } (duplicates are kept; see distinctRows)
+ */
+export function project(relation, columns) {
+  const indices = columns.map(name => (name === null ? -1 : relation.columns.indexOf(name)));
+  return {
+    columns,
+    rows: relation.rows.map(row => indices.map(idx => (idx === -1 ? '' : row[idx])))
+  };
+}
+
+/**
+ * Remove duplicate rows, keeping the first occurrence
+ * @param {Array} rows - Array of rows
+ * @returns {Array} Distinct rows
+ */
+export function distinctRows(rows) {
+  const seen = new Set();
+  return rows.filter(row => {
+    const key = JSON.stringify(row.map(cellKey));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Natural join of two relations on every column they share
+ * An empty value in one of the keyColumns is a missing (nullable) foreign key: the row
+ * matches nothing, but is kept with empty values for the other relation's columns, like a
+ * SQL outer join, so a visit without a medication isn't lost when MEDICATION is joined.
+ * The other shared columns just have to hold the same value, where empty equals empty.
+ * Shared columns appear once in the result
+ * @param {Object} left - { columns, rows }
+ * @param {Object} right - { columns, rows }
+ * @param {Array} keyColumns - Shared key columns; an empty value in one of them matches nothing
+ * @returns {Object} { columns, rows }
+ */
+export function naturalJoin(left, right, keyColumns = []) {
+  const joinColumns = right.columns.filter(name => left.columns.includes(name));
+  const required = joinColumns.map(name => keyColumns.includes(name));
+  const leftJoinIndices = joinColumns.map(name => left.columns.indexOf(name));
+  const rightJoinIndices = joinColumns.map(name => right.columns.indexOf(name));
+  const rightExtraIndices = right.columns
+    .map((_, idx) => idx)
+    .filter(idx => !joinColumns.includes(right.columns[idx]));
+  const hasMissingKey = (values) => values.some((value, idx) => value === '' && required[idx]);
+
+  // Index the right side by its join values
+  const rightIndex = new Map();
+  const rightKeyless = [];
+  right.rows.forEach(row => {
+    const values = rightJoinIndices.map(idx => cellKey(row[idx]));
+    if (hasMissingKey(values)) {
+      // Kept after the joined rows, with the left relation's other columns empty
+      rightKeyless.push([
+        ...left.columns.map(name => (joinColumns.includes(name) ? row[right.columns.indexOf(name)] : '')),
+        ...rightExtraIndices.map(idx => row[idx])
+      ]);
+      return;
+    }
+    const key = JSON.stringify(values);
+    if (!rightIndex.has(key)) {
+      rightIndex.set(key, []);
+    }
+    rightIndex.get(key).push(row);
+  });
+
+  const rows = [];
+  left.rows.forEach(leftRow => {
+    const values = leftJoinIndices.map(idx => cellKey(leftRow[idx]));
+    if (hasMissingKey(values)) {
+      rows.push([...leftRow, ...rightExtraIndices.map(() => '')]);
+      return;
+    }
+    (rightIndex.get(JSON.stringify(values)) || []).forEach(rightRow => {
+      rows.push([...leftRow, ...rightExtraIndices.map(idx => rightRow[idx])]);
+    });
+  });
+
+  return {
+    columns: [...left.columns, ...rightExtraIndices.map(idx => right.columns[idx])],
+    rows: [...rows, ...rightKeyless]
+  };
+}
+
+/**
+ * Join relations one at a time, always picking the next relation that shares the most
+ * PK/FK columns with the result so far, and natural-joining it on every shared column.
+ * Relations that share no key column with the result are left out rather than cross-joined
+ * @param {Array} relations - Array of { name, columns, keyColumns, rows }
+ * @returns {Object} { relation, joinOrder, disconnected }
+ */
+export function joinRelations(relations) {
+  if (relations.length === 0) {
+    return { relation: { columns: [], rows: [] }, joinOrder: [], disconnected: [] };
+  }
+
+  const remaining = [...relations].sort((a, b) => b.columns.length - a.columns.length);
+  const first = remaining.shift();
+  let result = { columns: first.columns, rows: first.rows };
+  let resultKeyColumns = [...first.keyColumns];
+  const joinOrder = [{ table: first.name, joinColumns: [] }];
+
+  while (remaining.length > 0) {
+    let bestIdx = -1;
+    let bestKeyColumns = [];
+    remaining.forEach((relation, idx) => {
+      const keyColumns = relation.columns.filter(name =>
+        result.columns.includes(name) &&
+        (relation.keyColumns.includes(name) || resultKeyColumns.includes(name))
+      );
+      if (keyColumns.length > bestKeyColumns.length) {
+        bestIdx = idx;
+        bestKeyColumns = keyColumns;
+      }
+    });
+
+    if (bestIdx === -1) break;
+
+    const [next] = remaining.splice(bestIdx, 1);
+    const joinColumns = next.columns.filter(name => result.columns.includes(name));
+    result = naturalJoin(result, next, bestKeyColumns);
+    resultKeyColumns = [...new Set([...resultKeyColumns, ...next.keyColumns])];
+    joinOrder.push({ table: next.name, joinColumns });
+  }
+
+  return { relation: result, joinOrder, disconnected: remaining.map(relation => relation.name) };
+}
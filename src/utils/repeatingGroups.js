@@ -0,0 +1,158 @@
+/**
+ * Repeating Groups Utility
+ * Finds repeating column groups in raw data, such as
+ * TREATMENT1, TREATMENT1_COST, TREATMENT2, TREATMENT2_COST, and suggests the 1NF table
+ * that consolidates them into one row per repetition
+ */
+
+/**
+ * Turn a column template such as "TREATMENT#_COST" into a field name ("TREATMENT_COST")
+ */
+function templateToFieldName(template) {
+  return template.replace('#', '').replace(/_{2,}/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Find the repeating groups among raw data columns
+ * Each number in a column name is tried as a repetition index: TREATMENT1_COST gives the
+ * template "TREATMENT#_COST" with index 1. Templates that repeat for the same indices and
+ * whose columns overlap in the column order form one group, so TREATMENT#, TREATMENT#_COST,
+ * MEDICATION# and MEDICATION#_DOSAGE become a single group, while PHONE1, PHONE2 and a
+ * separate EMAIL1, EMAIL2 stay two groups
+ * @param {Array} columns - Raw data column names
+ * @returns {Array} Groups in column order:
+ *   { name, indices, fields: [{ name, template, columns }], columns }, where each field lists
+ *   its columns in index order and columns lists all of the group's columns in raw order
+ */
+export function detectRepeatingGroups(columns) {
+  // Every way of reading a column name as template + index
+  const templates = new Map();
+  columns.forEach((column, position) => {
+    for (const run of column.matchAll(/\d+/g)) {
+      const template = column.slice(0, run.index) + '#' + column.slice(run.index + run[0].length);
+      if (!/[A-Za-z]/.test(template)) continue;
+      if (!templates.has(template)) {
+        templates.set(template, { template, members: [] });
+      }
+      templates.get(template).members.push({ column, position, index: Number(run[0]) });
+    }
+  });
+
+  // A template repeats when it occurs for at least two different indices
+  const candidates = [...templates.values()]
+    .map(candidate => ({
+      ...candidate,
+      indices: [...new Set(candidate.members.map(member => member.index))].sort((a, b) => a - b),
+      start: Math.min(...candidate.members.map(member => member.position)),
+      end: Math.max(...candidate.members.map(member => member.position))
+    }))
+    .filter(candidate => candidate.indices.length >= 2 && candidate.indices.length === candidate.members.length);
+
+  // Merge templates with the same indices whose column ranges overlap, as long as they
+  // don't read the same column two ways (ADDR1_LINE1 is both ADDR#_LINE1 and ADDR1_LINE#)
+  const clusters = [];
+  candidates
+    .sort((a, b) => a.start - b.start)
+    .forEach(candidate => {
+      const indexKey = candidate.indices.join(',');
+      const cluster = clusters.find(c =>
+        c.indexKey === indexKey && candidate.start <= c.end && candidate.end >= c.start &&
+        !candidate.members.some(member => c.columns.has(member.column))
+      );
+      if (cluster) {
+        cluster.templates.push(candidate);
+        candidate.members.forEach(member => cluster.columns.add(member.column));
+        cluster.end = Math.max(cluster.end, candidate.end);
+      } else {
+        clusters.push({
+          indexKey,
+          indices: candidate.indices,
+          templates: [candidate],
+          columns: new Set(candidate.members.map(member => member.column)),
+          start: candidate.start,
+          end: candidate.end
+        });
+      }
+    });
+
+  // A column belongs to one group at most; the groups with the most fields win
+  const usedColumns = new Set();
+  const groups = [];
+  [...clusters]
+    .sort((a, b) => b.templates.length - a.templates.length || a.start - b.start)
+    .forEach(cluster => {
+      const available = cluster.templates.filter(candidate =>
+        candidate.members.every(member => !usedColumns.has(member.column))
+      );
+      if (available.length === 0) return;
+      available.forEach(candidate => candidate.members.forEach(member => usedColumns.add(member.column)));
+
+      const fieldNames = [];
+      const fields = available.map(candidate => {
+        let name = templateToFieldName(candidate.template);
+        while (fieldNames.includes(name)) {
+          name = `${name}_${fieldNames.length + 1}`;
+        }
+        fieldNames.push(name);
+        return {
+          name,
+          template: candidate.template,
+          columns: [...candidate.members].sort((a, b) => a.index - b.index).map(member => member.column)
+        };
+      });
+      const groupColumns = columns.filter(column => fields.some(field => field.columns.includes(column)));
+      const prefix = available[0].template.split('#')[0].replace(/_+$/, '');
+
+      groups.push({
+        name: prefix || fields[0].name,
+        indices: cluster.indices,
+        fields,
+        columns: groupColumns
+      });
+    });
+
+  return groups.sort((a, b) => columns.indexOf(a.columns[0]) - columns.indexOf(b.columns[0]));
+}
+
+/**
+ * Suggest a 1NF table that consolidates a repeating group
+ * The columns outside every repeating group are mapped directly, a sequence column takes
+ * the repetition number from the column names (metadata), and each field of the group is
+ * consolidated into one column. Keys are left for the student to choose
+ * @param {Object} group - A group from detectRepeatingGroups
+ * @param {Array} columns - Raw data column names
+ * @param {Array} groups - All groups from detectRepeatingGroups
+ * @param {string} tableName - Name for the table
+ * @returns {Object} Table definition { name, columns } without id or saved state
+ */
+export function suggestConsolidatedTable(group, columns, groups, tableName) {
+  // The first number in the name is the index unless the template has digits before it
+  const [prefix, suffix] = group.fields[0].template.split('#');
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const sequencePattern = /\d/.test(prefix) ? `^${escape(prefix)}(\\d+)${escape(suffix)}$` : '(\\d+)';
+
+  const groupedColumns = new Set(groups.flatMap(g => g.columns));
+  const directColumns = columns
+    .filter(column => !groupedColumns.has(column))
+    .map(column => ({ name: column, type: 'attribute', mappingType: 'direct', sourceCols: [column] }));
+
+  return {
+    name: tableName,
+    columns: [
+      ...directColumns,
+      {
+        name: `${group.name}_SEQ`,
+        type: 'attribute',
+        mappingType: 'metadata',
+        sourceCols: group.fields[0].columns,
+        pattern: sequencePattern
+      },
+      ...group.fields.map(field => ({
+        name: field.name,
+        type: 'attribute',
+        mappingType: 'consolidate',
+        sourceCols: field.columns
+      }))
+    ]
+  };
+}
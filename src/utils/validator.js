@@ -3,11 +3,210 @@
  * Validates user's normalization solution against the correct solution
  */
 
+import { generateTableData, extractMetadataValue, DEFAULT_SPLIT_DELIMITER } from './dataTransformer';
+import { parseExpression, formatExpression } from './expressionEvaluator';
+import {
+  findPartialDependencies,
+  findTransitiveDependencies,
+  findBcnfViolations,
+  findMultivaluedDependencies,
+  findCandidateKeys,
+  formatDependency
+} from './dependencyAnalyzer';
+import { checkDependencyPreservation } from './dependencyPreservation';
+import { checkReferentialIntegrity, findReferencedColumn, findTableByName } from './referentialIntegrity';
+import { findNonAtomicValues, NON_ATOMIC_KIND_LABELS } from './atomicityChecker';
+import { normalizeName } from './valueHelpers';
+
+// Forms whose tables must be free of partial dependencies on a composite key
+const PARTIAL_DEPENDENCY_FORMS = ['2NF', '3NF', 'BCNF', '4NF'];
+
+// Forms whose tables must be free of non-key → non-key (transitive) dependencies
+const TRANSITIVE_DEPENDENCY_FORMS = ['3NF', 'BCNF', '4NF'];
+
+// Forms where every determinant must be a key, including determinants of key columns
+const BCNF_FORMS = ['BCNF', '4NF'];
+
+// Forms whose tables must not mix independent multivalued facts
+const MULTIVALUED_DEPENDENCY_FORMS = ['4NF'];
+
+// Forms whose tables must hold only atomic values (later forms start from 1NF tables)
+const ATOMICITY_FORMS = ['1NF'];
+
+// Forms where losing a dependency can be the price of removing a BCNF violation
+const DEPENDENCY_LOSS_ACCEPTED_FORMS = ['BCNF', '4NF'];
+
+// Points per part of the partial-credit score (they add up to 100)
+const SCORE_WEIGHTS = {
+  tableCoverage: 30,
+  keyCorrectness: 30,
+  mappingCorrectness: 40
+};
+
+// Points taken off per extra column, and the most that extra columns can cost
+const EXTRA_COLUMN_PENALTY = 2;
+const MAX_EXTRA_COLUMN_PENALTY = 10;
+
+// Points taken off per error found in the generated rows (dependencies, non-atomic values,
+// orphaned foreign keys), and the most that those errors can cost
+const DATA_ISSUE_PENALTY = 5;
+const MAX_DATA_ISSUE_PENALTY = 30;
+
+/**
+ * Codes for the issues in a validation result, so callers can group, filter and
+ * translate issues without parsing their messages
+ */
+export const ISSUE_CODES = {
+  NO_TABLES: 'NO_TABLES',
+  UNSAVED_TABLES: 'UNSAVED_TABLES',
+  UNMATCHED_TABLE: 'UNMATCHED_TABLE',
+  MISSING_TABLE: 'MISSING_TABLE',
+  MISSING_COLUMN: 'MISSING_COLUMN',
+  EXTRA_COLUMN: 'EXTRA_COLUMN',
+  WRONG_COLUMN_TYPE: 'WRONG_COLUMN_TYPE',
+  WRONG_MAPPING_TYPE: 'WRONG_MAPPING_TYPE',
+  WRONG_SOURCE_COLUMN: 'WRONG_SOURCE_COLUMN',
+  WRONG_SPLIT_DELIMITER: 'WRONG_SPLIT_DELIMITER',
+  WRONG_DERIVED_EXPRESSION: 'WRONG_DERIVED_EXPRESSION',
+  WRONG_METADATA_VALUES: 'WRONG_METADATA_VALUES',
+  MISSING_SOURCE_COLUMNS: 'MISSING_SOURCE_COLUMNS',
+  MISSING_FK_TARGET: 'MISSING_FK_TARGET',
+  WRONG_FK_TARGET: 'WRONG_FK_TARGET',
+  FK_TARGET_NOT_FOUND: 'FK_TARGET_NOT_FOUND',
+  FK_TARGET_NOT_KEY: 'FK_TARGET_NOT_KEY',
+  PRIMARY_KEY_MISMATCH: 'PRIMARY_KEY_MISMATCH',
+  PARTIAL_DEPENDENCY: 'PARTIAL_DEPENDENCY',
+  TRANSITIVE_DEPENDENCY: 'TRANSITIVE_DEPENDENCY',
+  BCNF_VIOLATION: 'BCNF_VIOLATION',
+  MULTIVALUED_DEPENDENCY: 'MULTIVALUED_DEPENDENCY',
+  DEPENDENCY_ISSUES: 'DEPENDENCY_ISSUES',
+  ORPHANED_FOREIGN_KEY: 'ORPHANED_FOREIGN_KEY',
+  REFERENTIAL_ISSUES: 'REFERENTIAL_ISSUES',
+  DEPENDENCY_NOT_PRESERVED: 'DEPENDENCY_NOT_PRESERVED',
+  NON_ATOMIC_VALUE: 'NON_ATOMIC_VALUE',
+  NON_ATOMIC_VALUES: 'NON_ATOMIC_VALUES',
+  CHECK_FAILED: 'CHECK_FAILED'
+};
+
+// Issues about a single column are only listed under their table, not in the main list
+const COLUMN_ISSUE_CODES = [
+  ISSUE_CODES.WRONG_COLUMN_TYPE,
+  ISSUE_CODES.WRONG_MAPPING_TYPE,
+  ISSUE_CODES.WRONG_SOURCE_COLUMN,
+  ISSUE_CODES.WRONG_SPLIT_DELIMITER,
+  ISSUE_CODES.WRONG_DERIVED_EXPRESSION,
+  ISSUE_CODES.WRONG_METADATA_VALUES,
+  ISSUE_CODES.MISSING_SOURCE_COLUMNS,
+  ISSUE_CODES.MISSING_FK_TARGET,
+  ISSUE_CODES.WRONG_FK_TARGET,
+  ISSUE_CODES.FK_TARGET_NOT_FOUND,
+  ISSUE_CODES.FK_TARGET_NOT_KEY
+];
+
+// Issue code for each type of dependency found in the data
+const DEPENDENCY_ISSUE_CODES = {
+  partial: ISSUE_CODES.PARTIAL_DEPENDENCY,
+  transitive: ISSUE_CODES.TRANSITIVE_DEPENDENCY,
+  bcnf: ISSUE_CODES.BCNF_VIOLATION,
+  multivalued: ISSUE_CODES.MULTIVALUED_DEPENDENCY
+};
+
+/**
+ * Create a structured validation issue
+ * @param {string} code - One of ISSUE_CODES
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} message - Human-readable description (without the table name)
+ * @param {Object} details - Optional { table, column, expected, actual }
+ * @returns {Object} { code, severity, table, column, expected, actual, message }
+ */
+export function createIssue(code, severity, message, details = {}) {
+  return {
+    code,
+    severity,
+    table: details.table ?? null,
+    column: details.column ?? null,
+    expected: details.expected ?? null,
+    actual: details.actual ?? null,
+    message
+  };
+}
+
+/**
+ * Format an issue as one line of text, prefixed with its table when it has one
+ * @param {Object} issue - Issue created by createIssue
+ * @returns {string}
+ */
+export function formatIssue(issue) {
+  return issue.table ? `${issue.table}: ${issue.message}` : issue.message;
+}
+
 /**
- * Normalize table/column names for comparison (case-insensitive, trim whitespace)
+ * Remove repeated issues (same code, table, column and message), keeping the first
  */
-function normalizeName(name) {
-  return name.trim().toLowerCase().replace(/\s+/g, '_');
+function dedupeIssues(issues) {
+  const seen = new Set();
+  return issues.filter(issue => {
+    const key = JSON.stringify([issue.code, issue.table, issue.column, issue.message]);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Alias registry used when a dataset declares no aliases
+const NO_ALIASES = { tables: new Map(), columns: new Map() };
+
+/**
+ * Add a group of equivalent names to an alias map, merging it with any group
+ * that already contains one of the names
+ */
+function addAliasGroup(aliasMap, names) {
+  const group = new Set(names.map(normalizeName));
+  [...group].forEach(name => (aliasMap.get(name) || []).forEach(other => group.add(other)));
+  group.forEach(name => aliasMap.set(name, group));
+}
+
+/**
+ * Collect the table and column aliases a dataset declares on its solution tables
+ * e.g. { "name": "STUDENT", "aliases": ["LEARNER"] } or { "name": "COURSE_ID", "aliases": ["CRS_ID"] }.
+ * Aliases from every form (and every alternative) are pooled, so sourceCols that
+ * reference an earlier form's tables match through the same aliases
+ * @param {Object} dataset - Dataset object
+ * @returns {Object} { tables: Map, columns: Map } from each normalized name to its group of equivalent names
+ */
+export function getNameAliases(dataset) {
+  const aliases = { tables: new Map(), columns: new Map() };
+  Object.values(dataset?.solutions || {}).forEach(solution => {
+    getSolutionAlternatives(solution).forEach(alternative => {
+      alternative.tables.forEach(table => {
+        if (Array.isArray(table.aliases) && table.aliases.length > 0) {
+          addAliasGroup(aliases.tables, [table.name, ...table.aliases]);
+        }
+        (table.columns || []).forEach(col => {
+          if (Array.isArray(col.aliases) && col.aliases.length > 0) {
+            addAliasGroup(aliases.columns, [col.name, ...col.aliases]);
+          }
+        });
+      });
+    });
+  });
+  return aliases;
+}
+
+/**
+ * Compare two names against declared aliases
+ * A name with declared aliases only matches itself and its aliases, so the
+ * substring/prefix heuristics are skipped for it
+ * @returns {boolean|null} true/false when either name is declared, null to fall back to the heuristics
+ */
+function aliasMatch(name1, name2, aliasMap) {
+  const norm1 = normalizeName(name1);
+  const norm2 = normalizeName(name2);
+  if (norm1 === norm2) return true;
+  const group1 = aliasMap.get(norm1);
+  const group2 = aliasMap.get(norm2);
+  if (!group1 && !group2) return null;
+  return Boolean(group1 && group1.has(norm2));
 }
 
 /**
@@ -17,19 +216,27 @@ function normalizeName(name) {
 /**
  * Find a column in solutionColumns that matches targetColName
  * @param {string} targetColName - The column name to find a match for (e.g., solution column name)
- * @param {Array} columnsToSearch - Array of columns to search in (e.g., user's columns)
+ * @param {Array} allColumns - Array of columns to search in (e.g., user's columns)
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
  * @returns {Object|null} The matching column object, or null if no match
  */
-function findMatchingColumn(targetColName, columnsToSearch) {
+function findMatchingColumn(targetColName, allColumns, aliases = NO_ALIASES) {
   const targetNormalized = normalizeName(targetColName);
   
   // First pass: look for exact matches
-  for (const col of columnsToSearch) {
+  for (const col of allColumns) {
     const colNormalized = normalizeName(col.name);
     if (targetNormalized === colNormalized) {
       return col;
     }
   }
+
+  // Declared aliases come next; names with declared aliases don't take part in the heuristics
+  const aliasedMatch = allColumns.find(col => aliasMatch(targetColName, col.name, aliases.columns) === true);
+  if (aliasedMatch) {
+    return aliasedMatch;
+  }
+  const columnsToSearch = allColumns.filter(col => aliasMatch(targetColName, col.name, aliases.columns) === null);
   
   // Second pass: look for prefix/suffix matches (one starts/ends with the other)
   // This handles cases like "CREW_MEM" matching "CREW_MEMBER" and "BUDGET" matching "PROJECT_BUDGET"
@@ -181,12 +388,15 @@ function findMatchingColumn(targetColName, columnsToSearch) {
 /**
  * Compare two column objects
  */
-function columnsMatch(userCol, solutionCol) {
+function columnsMatch(userCol, solutionCol, aliases = NO_ALIASES) {
   const userNormalized = normalizeName(userCol.name);
   const solutionNormalized = normalizeName(solutionCol.name);
+  const declared = aliasMatch(userCol.name, solutionCol.name, aliases.columns);
   
   // Use flexible matching
-  if (userNormalized === solutionNormalized) {
+  if (declared !== null) {
+    if (!declared) return false;
+  } else if (userNormalized === solutionNormalized) {
     // Exact match - check type
   } else if (userNormalized.includes(solutionNormalized) || solutionNormalized.includes(userNormalized)) {
     // Contains match - check type
@@ -237,22 +447,20 @@ function columnsMatch(userCol, solutionCol) {
   return true;
 }
 
-/**
- * Validate column mapping
- * @param {Object} userCol - User's column definition
- * @param {Object} solutionCol - Solution column definition
- * @returns {Object} Validation result with valid flag and error message
- */
 /**
  * Check if two column names match flexibly (similar to findMatchingColumn logic)
  * Handles cases like "BUDGET" matching "PROJECT_BUDGET"
  */
-function columnNamesMatch(colName1, colName2) {
+function columnNamesMatch(colName1, colName2, aliases = NO_ALIASES) {
   const norm1 = normalizeName(colName1);
   const norm2 = normalizeName(colName2);
   
   // Exact match
   if (norm1 === norm2) return true;
+
+  // Declared aliases decide on their own
+  const declared = aliasMatch(colName1, colName2, aliases.columns);
+  if (declared !== null) return declared;
   
   // Check suffix match (e.g., "BUDGET" matches "PROJECT_BUDGET")
   const shorter = norm1.length < norm2.length ? norm1 : norm2;
@@ -277,7 +485,7 @@ function columnNamesMatch(colName1, colName2) {
  * Check if two source columns match flexibly
  * Handles "tableName.columnName" format with flexible table and column name matching
  */
-function sourceColsMatch(sourceCol1, sourceCol2) {
+function sourceColsMatch(sourceCol1, sourceCol2, aliases = NO_ALIASES) {
   const norm1 = normalizeName(sourceCol1);
   const norm2 = normalizeName(sourceCol2);
   
@@ -290,15 +498,15 @@ function sourceColsMatch(sourceCol1, sourceCol2) {
     const [table2, col2] = sourceCol2.split('.', 2);
     
     // Table names must match flexibly
-    if (!tablesMatchByName(table1, table2)) return false;
+    if (!tablesMatchByName(table1, table2, aliases)) return false;
     
     // Column names must match flexibly (e.g., "BUDGET" matches "PROJECT_BUDGET")
-    return columnNamesMatch(col1, col2);
+    return columnNamesMatch(col1, col2, aliases);
   }
   
-  // If neither has a dot, just compare normalized names
+  // If neither has a dot, compare normalized names (or declared aliases)
   if (!sourceCol1.includes('.') && !sourceCol2.includes('.')) {
-    return norm1 === norm2;
+    return aliasMatch(sourceCol1, sourceCol2, aliases.columns) === true;
   }
   
   return false;
@@ -307,12 +515,16 @@ function sourceColsMatch(sourceCol1, sourceCol2) {
 /**
  * Check if two table names match flexibly (similar to findMatchingTables logic)
  */
-function tablesMatchByName(tableName1, tableName2) {
+function tablesMatchByName(tableName1, tableName2, aliases = NO_ALIASES) {
   const norm1 = normalizeName(tableName1);
   const norm2 = normalizeName(tableName2);
   
   // Exact match
   if (norm1 === norm2) return true;
+
+  // Declared aliases decide on their own
+  const declared = aliasMatch(tableName1, tableName2, aliases.tables);
+  if (declared !== null) return declared;
   
   // One contains the other (e.g., "FLIGHT" matches "FLIGHT_DETAILS")
   if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
@@ -344,7 +556,28 @@ function tablesMatchByName(tableName1, tableName2) {
   return false;
 }
 
-function validateColumnMapping(userCol, solutionCol) {
+/**
+ * Standard form of a derived column's expression, so spacing, letter case and
+ * redundant parentheses don't matter when comparing
+ * @returns {string|null} The standard form, or null if the expression doesn't parse
+ */
+function canonicalExpression(expression) {
+  try {
+    return formatExpression(parseExpression(expression)).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate column mapping
+ * @param {Object} userCol - User's column definition
+ * @param {Object} solutionCol - Solution column definition
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @param {string} tableName - User table the column belongs to, for the issue
+ * @returns {Object} Validation result with valid flag and an issue when invalid
+ */
+function validateColumnMapping(userCol, solutionCol, aliases = NO_ALIASES, tableName = null) {
   // If solution doesn't have mapping info, skip mapping validation
   if (!solutionCol.mappingType || !solutionCol.sourceCols) {
     return { valid: true };
@@ -354,7 +587,12 @@ function validateColumnMapping(userCol, solutionCol) {
   if (userCol.mappingType !== solutionCol.mappingType) {
     return {
       valid: false,
-      error: `${userCol.name} should use ${solutionCol.mappingType} mapping (got ${userCol.mappingType || 'none'})`
+      issue: createIssue(
+        ISSUE_CODES.WRONG_MAPPING_TYPE,
+        'error',
+        `${userCol.name} should use ${solutionCol.mappingType} mapping (got ${userCol.mappingType || 'none'})`,
+        { table: tableName, column: userCol.name, expected: solutionCol.mappingType, actual: userCol.mappingType || null }
+      )
     };
   }
 
@@ -365,14 +603,19 @@ function validateColumnMapping(userCol, solutionCol) {
   if (userCol.sourceCols && solutionCol.sourceCols) {
     // Check if user has at least one source column that matches any solution source column
     const hasAnyMatch = solutionCol.sourceCols.some(solSource => 
-      userCol.sourceCols.some(userSource => sourceColsMatch(userSource, solSource))
+      userCol.sourceCols.some(userSource => sourceColsMatch(userSource, solSource, aliases))
     );
     
     if (!hasAnyMatch) {
       // None of the user's source columns match any solution source column
       return {
         valid: false,
-        error: `${userCol.name} should include source column: ${solutionCol.sourceCols.join(' or ')}`
+        issue: createIssue(
+          ISSUE_CODES.WRONG_SOURCE_COLUMN,
+          'error',
+          `${userCol.name} should include source column: ${solutionCol.sourceCols.join(' or ')}`,
+          { table: tableName, column: userCol.name, expected: solutionCol.sourceCols, actual: userCol.sourceCols }
+        )
       };
     }
     
@@ -382,32 +625,141 @@ function validateColumnMapping(userCol, solutionCol) {
       // For single source column, check if user's source matches
       const solSource = solutionCol.sourceCols[0];
       const hasMatch = userCol.sourceCols.some(userSource => 
-        sourceColsMatch(userSource, solSource)
+        sourceColsMatch(userSource, solSource, aliases)
       );
       
       if (!hasMatch) {
         return {
           valid: false,
-          error: `${userCol.name} should include source column: ${solSource}`
+          issue: createIssue(
+            ISSUE_CODES.WRONG_SOURCE_COLUMN,
+            'error',
+            `${userCol.name} should include source column: ${solSource}`,
+            { table: tableName, column: userCol.name, expected: [solSource], actual: userCol.sourceCols }
+          )
         };
       }
     }
     // For multiple source columns, we already checked that at least one matches above
+
+    // A split column must break its cells on the same delimiter as the solution
+    if (solutionCol.mappingType === 'split') {
+      const expectedDelimiter = solutionCol.delimiter || DEFAULT_SPLIT_DELIMITER;
+      const actualDelimiter = userCol.delimiter || DEFAULT_SPLIT_DELIMITER;
+      // Values are trimmed after splitting, so ", " and "," split the same way
+      if ((expectedDelimiter.trim() || ' ') !== (actualDelimiter.trim() || ' ')) {
+        return {
+          valid: false,
+          issue: createIssue(
+            ISSUE_CODES.WRONG_SPLIT_DELIMITER,
+            'error',
+            `${userCol.name} should split values on "${expectedDelimiter}" (got "${actualDelimiter}")`,
+            { table: tableName, column: userCol.name, expected: expectedDelimiter, actual: actualDelimiter }
+          )
+        };
+      }
+    }
+
+    // A metadata column must turn the solution's source column names into the same values,
+    // whether they are kept whole or cut down by a pattern
+    if (solutionCol.mappingType === 'metadata') {
+      const names = solutionCol.sourceCols.map(sourceCol => sourceCol.split('.').pop());
+      const expected = names.map(name => extractMetadataValue(name, solutionCol.pattern));
+      const actual = names.map(name => extractMetadataValue(name, userCol.pattern));
+      if (expected.some((value, idx) => value !== actual[idx])) {
+        return {
+          valid: false,
+          issue: createIssue(
+            ISSUE_CODES.WRONG_METADATA_VALUES,
+            'error',
+            `${userCol.name} should hold ${expected.join(', ')} (got ${actual.join(', ')})`,
+            { table: tableName, column: userCol.name, expected, actual }
+          )
+        };
+      }
+    }
+
+    // A derived column must compute the same expression as the solution
+    if (solutionCol.mappingType === 'derived' && solutionCol.expression) {
+      const expected = canonicalExpression(solutionCol.expression);
+      if (expected !== null && canonicalExpression(userCol.expression) !== expected) {
+        return {
+          valid: false,
+          issue: createIssue(
+            ISSUE_CODES.WRONG_DERIVED_EXPRESSION,
+            'error',
+            `${userCol.name} should be computed as ${solutionCol.expression} (got ${userCol.expression || 'no expression'})`,
+            { table: tableName, column: userCol.name, expected: solutionCol.expression, actual: userCol.expression || null }
+          )
+        };
+      }
+    }
   } else if (solutionCol.sourceCols && !userCol.sourceCols) {
     return {
       valid: false,
-      error: `${userCol.name} is missing source column mapping`
+      issue: createIssue(
+        ISSUE_CODES.MISSING_SOURCE_COLUMNS,
+        'error',
+        `${userCol.name} is missing source column mapping`,
+        { table: tableName, column: userCol.name, expected: solutionCol.sourceCols }
+      )
     };
   }
 
   return { valid: true };
 }
 
+/**
+ * Validate the table an FK column references
+ * The target must be the solution's foreignKeyTable (when the solution declares one),
+ * must exist among the user's tables, and must have a PK column the FK can point to
+ * @param {Object} userCol - User's FK column
+ * @param {Object} solutionCol - Matching solution column
+ * @param {Object} userTable - User table the column belongs to
+ * @param {Array} userTables - All of the user's tables for the form
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @returns {Object|null} An issue, or null if the reference is fine
+ */
+function validateForeignKeyTarget(userCol, solutionCol, userTable, userTables, aliases = NO_ALIASES) {
+  const table = userTable.name;
+  const column = userCol.name;
+  const expected = solutionCol.type === 'FK' ? solutionCol.foreignKeyTable : null;
+
+  if (!userCol.foreignKeyTable) {
+    return expected
+      ? createIssue(ISSUE_CODES.MISSING_FK_TARGET, 'warning', `${column} doesn't say which table it references (should be ${expected})`, {
+        table, column, expected
+      })
+      : null;
+  }
+
+  if (expected && !tablesMatchByName(userCol.foreignKeyTable, expected, aliases)) {
+    return createIssue(ISSUE_CODES.WRONG_FK_TARGET, 'error', `${column} should reference ${expected} (references ${userCol.foreignKeyTable})`, {
+      table, column, expected, actual: userCol.foreignKeyTable
+    });
+  }
+
+  const referencedTable = findTableByName(userCol.foreignKeyTable, userTables);
+  if (!referencedTable) {
+    return createIssue(ISSUE_CODES.FK_TARGET_NOT_FOUND, 'error', `${column} references ${userCol.foreignKeyTable}, but there is no such table`, {
+      table, column, expected: expected || null, actual: userCol.foreignKeyTable
+    });
+  }
+
+  if (!findReferencedColumn(userCol, userTable, userTables)) {
+    return createIssue(ISSUE_CODES.FK_TARGET_NOT_KEY, 'error', `${column} must reference a PK column, but ${referencedTable.name} has no matching PK column`, {
+      table, column, actual: referencedTable.name
+    });
+  }
+
+  return null;
+}
+
 /**
  * Find all matching tables in solution (one user table can match multiple solution tables)
  * Uses flexible matching to allow variations like "FLIGHT" matching "FLIGHT_DETAILS"
  */
-function findMatchingTables(userTable, solutionTables) {
+function findMatchingTables(userTable, solutionTables, aliases = NO_ALIASES) {
   const userTableName = normalizeName(userTable.name);
   const matches = [];
   
@@ -419,6 +771,13 @@ function findMatchingTables(userTable, solutionTables) {
       matches.push(solutionTable);
       continue;
     }
+
+    // Declared aliases decide on their own
+    const declared = aliasMatch(userTable.name, solutionTable.name, aliases.tables);
+    if (declared !== null) {
+      if (declared) matches.push(solutionTable);
+      continue;
+    }
     
     // One contains the other (e.g., "FLIGHT" matches "FLIGHT_DETAILS")
     if (userTableName.includes(solutionTableName) || solutionTableName.includes(userTableName)) {
@@ -449,7 +808,7 @@ function findMatchingTables(userTable, solutionTables) {
           solWord.startsWith(userWord) ||
           userWord.startsWith(solWord) ||
           solWord.includes(userWord) ||
-          userWord.includes(userWord)
+          userWord.includes(solWord)
         )
       );
       
@@ -467,17 +826,23 @@ function findMatchingTables(userTable, solutionTables) {
  * Find a single matching table (for backward compatibility)
  * Uses flexible matching to allow variations like "FLIGHT" matching "FLIGHT_DETAILS"
  */
-function findMatchingTable(userTable, solutionTables) {
-  const matches = findMatchingTables(userTable, solutionTables);
+function findMatchingTable(userTable, solutionTables, aliases = NO_ALIASES) {
+  const matches = findMatchingTables(userTable, solutionTables, aliases);
   return matches.length > 0 ? matches[0] : null;
 }
 
 /**
  * Validate a single table structure
+ * @param {Object} userTable - User's table definition
+ * @param {Object} solutionTable - Solution table it is compared with
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @param {Array} userTables - All of the user's tables for the form, for FK targets
+ * @returns {Object} { errors, warnings } as arrays of issues (see createIssue)
  */
-function validateTable(userTable, solutionTable) {
+function validateTable(userTable, solutionTable, aliases = NO_ALIASES, userTables = [userTable]) {
   const errors = [];
   const warnings = [];
+  const table = userTable.name;
   
   // Check columns
   const solutionColumnMap = new Map();
@@ -494,24 +859,35 @@ function validateTable(userTable, solutionTable) {
   solutionTable.columns.forEach(solutionCol => {
     // Note: findMatchingColumn takes (targetName, columnsToSearch)
     // We're looking for a user column that matches the solution column name
-    const userCol = findMatchingColumn(solutionCol.name, userTable.columns);
+    const userCol = findMatchingColumn(solutionCol.name, userTable.columns, aliases);
     
     if (!userCol) {
-      errors.push(`Missing column: ${solutionCol.name}`);
+      errors.push(createIssue(ISSUE_CODES.MISSING_COLUMN, 'error', `Missing column: ${solutionCol.name}`, {
+        table, column: solutionCol.name, expected: solutionCol.name
+      }));
     } else {
       // Check column type match
-      if (!columnsMatch(userCol, solutionCol)) {
+      if (!columnsMatch(userCol, solutionCol, aliases)) {
+        const typeDetails = { table, column: userCol.name, expected: solutionCol.type, actual: userCol.type || null };
         if (solutionCol.type === 'PK' && userCol.type?.toUpperCase() !== 'PK') {
-          errors.push(`Column ${solutionCol.name} should be a Primary Key (PK)`);
+          errors.push(createIssue(ISSUE_CODES.WRONG_COLUMN_TYPE, 'error', `Column ${solutionCol.name} should be a Primary Key (PK)`, typeDetails));
         } else if (solutionCol.type === 'FK' && userCol.type?.toUpperCase() !== 'FK') {
-          errors.push(`Column ${solutionCol.name} should be a Foreign Key (FK)`);
+          errors.push(createIssue(ISSUE_CODES.WRONG_COLUMN_TYPE, 'error', `Column ${solutionCol.name} should be a Foreign Key (FK)`, typeDetails));
         }
       }
 
       // Check column mapping
-      const mappingValidation = validateColumnMapping(userCol, solutionCol);
+      const mappingValidation = validateColumnMapping(userCol, solutionCol, aliases, table);
       if (!mappingValidation.valid) {
-        errors.push(mappingValidation.error);
+        errors.push(mappingValidation.issue);
+      }
+
+      // Check the table an FK references
+      if (userCol.type?.toUpperCase() === 'FK') {
+        const targetIssue = validateForeignKeyTarget(userCol, solutionCol, userTable, userTables, aliases);
+        if (targetIssue) {
+          (targetIssue.severity === 'error' ? errors : warnings).push(targetIssue);
+        }
       }
     }
   });
@@ -519,9 +895,14 @@ function validateTable(userTable, solutionTable) {
   // Check for extra columns (warnings, not errors - user might add helpful columns)
   // Use flexible matching to avoid false warnings for name variations
   userTable.columns.forEach(userCol => {
-    const matched = findMatchingColumn(userCol.name, solutionTable.columns);
+    const matched = findMatchingColumn(userCol.name, solutionTable.columns, aliases);
     if (!matched) {
-      warnings.push(`Extra column: ${userCol.name} (not in solution, but may be acceptable)`);
+      warnings.push(createIssue(
+        ISSUE_CODES.EXTRA_COLUMN,
+        'warning',
+        `Extra column: ${userCol.name} (not in solution, but may be acceptable)`,
+        { table, column: userCol.name, actual: userCol.name }
+      ));
     }
   });
   
@@ -529,7 +910,7 @@ function validateTable(userTable, solutionTable) {
   const solutionPKs = solutionTable.columns
     .filter(c => c.type === 'PK')
     .map(c => {
-      const matched = findMatchingColumn(c.name, userTable.columns);
+      const matched = findMatchingColumn(c.name, userTable.columns, aliases);
       return matched ? normalizeName(matched.name) : normalizeName(c.name);
     })
     .sort();
@@ -549,25 +930,353 @@ function validateTable(userTable, solutionTable) {
   if (missingPKs.length > 0 || extraPKs.length > 0) {
     const solutionPKNames = solutionTable.columns
       .filter(c => c.type === 'PK')
-      .map(c => c.name)
-      .join(', ');
+      .map(c => c.name);
     const userPKNames = userTable.columns
       .filter(c => c.type?.toUpperCase() === 'PK')
-      .map(c => c.name)
-      .join(', ');
-    errors.push(`Primary keys don't match. Expected: ${solutionPKNames}, Got: ${userPKNames}`);
+      .map(c => c.name);
+    errors.push(createIssue(
+      ISSUE_CODES.PRIMARY_KEY_MISMATCH,
+      'error',
+      `Primary keys don't match. Expected: ${solutionPKNames.join(', ')}, Got: ${userPKNames.join(', ')}`,
+      { table, expected: solutionPKNames, actual: userPKNames }
+    ));
   }
   
   return { errors, warnings };
 }
 
 /**
- * Main validation function
+ * Score an attempt for partial credit
+ * Solution tables and user tables are paired one to one, closest fits first, then:
+ * - tableCoverage: share of solution tables whose paired user table has no errors
+ * - keyCorrectness: share of key decisions that are right, i.e. solution PK/FK columns the user
+ *   marked the same way, out of those plus user PK/FK columns the solution doesn't key
+ * - mappingCorrectness: share of solution columns present with a correct mapping
+ * - extraColumns: a penalty per column (or whole unmatched table's columns) not in the solution
+ * - dataIssues: a penalty per error found in the generated rows
  * @param {Array} userTables - User's table definitions
  * @param {Array} solutionTables - Correct solution table definitions
- * @returns {Object} Validation result with isValid, errors, warnings, and details
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @param {number} dataIssueCount - Errors found in the generated rows (dependency,
+ *   atomicity and referential-integrity errors)
+ * @returns {Object} { total, maxTotal, breakdown: { [part]: { earned, max, correct, total } },
+ *   extraColumns: { count, penalty }, dataIssues: { count, penalty } }
+ */
+function scoreSolution(userTables, solutionTables, aliases = NO_ALIASES, dataIssueCount = 0) {
+  // Every possible pairing, closest fit first; a user table can stand in for one solution table only
+  const candidates = [];
+  solutionTables.forEach((solutionTable, solutionIdx) => {
+    userTables.forEach((userTable, userIdx) => {
+      if (findMatchingTables(userTable, [solutionTable], aliases).length === 0) return;
+      const errorCount = validateTable(userTable, solutionTable, aliases, userTables).errors.length;
+      candidates.push({ userTable, solutionTable, errorCount, order: solutionIdx * userTables.length + userIdx });
+    });
+  });
+  candidates.sort((a, b) => a.errorCount - b.errorCount || a.order - b.order);
+
+  const pairs = [];
+  candidates.forEach(candidate => {
+    if (pairs.some(p => p.userTable === candidate.userTable || p.solutionTable === candidate.solutionTable)) return;
+    pairs.push(candidate);
+  });
+  const coveredCount = pairs.filter(p => p.errorCount === 0).length;
+
+  let keyCorrect = 0;
+  let keyTotal = 0;
+  let mappingCorrect = 0;
+  let mappingTotal = 0;
+  let extraCount = 0;
+
+  solutionTables.forEach(solutionTable => {
+    const pair = pairs.find(p => p.solutionTable === solutionTable);
+    solutionTable.columns.forEach(solutionCol => {
+      const isKey = solutionCol.type === 'PK' || solutionCol.type === 'FK';
+      const userCol = pair ? findMatchingColumn(solutionCol.name, pair.userTable.columns, aliases) : null;
+      if (isKey) {
+        keyTotal++;
+        if (userCol && userCol.type?.toUpperCase() === solutionCol.type) keyCorrect++;
+      }
+      mappingTotal++;
+      if (userCol && validateColumnMapping(userCol, solutionCol, aliases).valid) mappingCorrect++;
+    });
+  });
+
+  userTables.forEach(userTable => {
+    const pairedSolutionTables = pairs.filter(p => p.userTable === userTable).map(p => p.solutionTable);
+    if (pairedSolutionTables.length === 0) {
+      extraCount += userTable.columns.length;
+      return;
+    }
+    userTable.columns.forEach(userCol => {
+      const matches = pairedSolutionTables
+        .map(solutionTable => findMatchingColumn(userCol.name, solutionTable.columns, aliases))
+        .filter(Boolean);
+      if (matches.length === 0) {
+        extraCount++;
+        return;
+      }
+      const userType = userCol.type?.toUpperCase();
+      if ((userType === 'PK' || userType === 'FK') && !matches.some(col => col.type === 'PK' || col.type === 'FK')) {
+        keyTotal++;
+      }
+    });
+  });
+
+  const part = (weight, correct, total) => ({
+    earned: total === 0 ? weight : Math.round((weight * correct) / total),
+    max: weight,
+    correct,
+    total
+  });
+  const breakdown = {
+    tableCoverage: part(SCORE_WEIGHTS.tableCoverage, coveredCount, solutionTables.length),
+    keyCorrectness: part(SCORE_WEIGHTS.keyCorrectness, keyCorrect, keyTotal),
+    mappingCorrectness: part(SCORE_WEIGHTS.mappingCorrectness, mappingCorrect, mappingTotal)
+  };
+  const penalty = Math.min(extraCount * EXTRA_COLUMN_PENALTY, MAX_EXTRA_COLUMN_PENALTY);
+  const dataPenalty = Math.min(dataIssueCount * DATA_ISSUE_PENALTY, MAX_DATA_ISSUE_PENALTY);
+  const earned = Object.values(breakdown).reduce((sum, p) => sum + p.earned, 0);
+
+  return {
+    total: Math.max(0, earned - penalty - dataPenalty),
+    maxTotal: Object.values(SCORE_WEIGHTS).reduce((sum, weight) => sum + weight, 0),
+    breakdown,
+    extraColumns: { count: extraCount, penalty },
+    dataIssues: { count: dataIssueCount, penalty: dataPenalty }
+  };
+}
+
+/**
+ * Check whether the solution confirms a dependency found in the data
+ * Small datasets contain coincidences (e.g. every room in the sample happens to have
+ * one doctor), so a dependency X → Y only counts as an error when some solution
+ * table is keyed by X and also holds Y
+ * @param {Object} dependency - Dependency object with determinant and dependent
+ * @param {Array} solutionTables - Correct solution table definitions
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @returns {boolean}
+ */
+function isDependencyInSolution(dependency, solutionTables, aliases = NO_ALIASES) {
+  return (solutionTables || []).some(solutionTable => {
+    const solutionPKs = solutionTable.columns.filter(c => c.type === 'PK');
+    const determinantIsKey = dependency.determinant.length === solutionPKs.length &&
+      dependency.determinant.every(name => findMatchingColumn(name, solutionPKs, aliases));
+    return determinantIsKey && findMatchingColumn(dependency.dependent, solutionTable.columns, aliases) !== null;
+  });
+}
+
+/**
+ * Check whether the solution separates the two sides of a multivalued dependency
+ * i.e. no solution table holds the determinant, the dependent and the independent columns together
+ * @param {Object} dependency - { determinant, dependent, independent }
+ * @param {Array} solutionTables - Solution tables for the current form
+ * @param {Object} aliases - Declared name aliases (see getNameAliases)
+ * @returns {boolean}
+ */
+function isMultivaluedDependencySplitInSolution(dependency, solutionTables, aliases = NO_ALIASES) {
+  const columnNames = [...dependency.determinant, dependency.dependent, ...dependency.independent];
+  return !(solutionTables || []).some(solutionTable =>
+    columnNames.every(name => findMatchingColumn(name, solutionTable.columns, aliases) !== null)
+  );
+}
+
+/**
+ * Get the columns that form a table's key
+ * Key columns that are also foreign keys are typed FK (ENROLLMENT's STUDENT_ID and COURSE),
+ * so the PK columns are extended to the smallest key found in the rows that holds them
+ * plus only FK columns. Without such a key, the PK columns are the key
+ * @param {Object} table - Table definition
+ * @param {Array} rows - The table's generated rows
+ * @returns {Array} Key column names
+ */
+function getKeyColumns(table, rows) {
+  const columnsOfType = (type) => table.columns
+    .filter(col => col.type?.toUpperCase() === type)
+    .map(col => col.name);
+  const pkColumns = columnsOfType('PK');
+  const fkColumns = columnsOfType('FK');
+
+  const key = findCandidateKeys(table.columns.map(col => col.name), rows).find(candidate =>
+    pkColumns.every(name => candidate.includes(name)) &&
+    candidate.every(name => pkColumns.includes(name) || fkColumns.includes(name))
+  );
+  return key || pkColumns;
+}
+
+/**
+ * Check a user table's generated preview for dependencies that break the current form
+ * Unlike validateTable, this looks at the data itself rather than at names,
+ * so each issue carries the rows that prove it
+ * @param {Object} userTable - User's table definition
+ * @param {Array} rows - The table's generated rows (see generatePreviews)
+ * @param {Array} solutionTables - Correct solution table definitions
+ * @param {Object} context - { form, aliases }
+ * @returns {Array} Array of issues:
+ *   { type, severity, column, determinant, independent, message, columns, rows, highlightColumns }
+ */
+function findDependencyIssues(userTable, rows, solutionTables, context) {
+  const { form, aliases = NO_ALIASES } = context;
+  if (!userTable.columns || userTable.columns.length === 0 || rows.length < 2) return [];
+
+  const columns = userTable.columns.map(col => col.name);
+  const keyColumns = userTable.columns
+    .filter(col => col.type?.toUpperCase() === 'PK')
+    .map(col => col.name);
+  const issues = [];
+
+  const TYPE_LABELS = { partial: 'partial', transitive: 'transitive', bcnf: 'non-key → key', multivalued: 'multivalued' };
+
+  // confirmedMessage is only shown when the solution agrees the dependency is real
+  const addIssue = (type, dependency, confirmedMessage, confirmed = isDependencyInSolution(dependency, solutionTables, aliases)) => {
+    issues.push({
+      type,
+      severity: confirmed ? 'error' : 'warning',
+      column: dependency.dependent,
+      determinant: dependency.determinant,
+      independent: dependency.independent || [],
+      message: confirmed
+        ? confirmedMessage
+        : `${dependency.dependent} may have a ${TYPE_LABELS[type]} dependency: ${formatDependency(dependency)} holds in this data (check whether it is a real rule or a coincidence)`,
+      columns,
+      rows: dependency.evidenceRowIndices.map(idx => rows[idx]),
+      highlightColumns: [...dependency.determinant, dependency.dependent, ...(dependency.independent || [])]
+    });
+  };
+
+  // Message for a column that should move to a table keyed by its determinant
+  const moveMessage = (dependency, description) =>
+    `${dependency.dependent} ${description} (${formatDependency(dependency)}), so it belongs in a table keyed by ${dependency.determinant.join(', ')}`;
+
+  if (PARTIAL_DEPENDENCY_FORMS.includes(form)) {
+    findPartialDependencies(columns, rows, keyColumns).forEach(dependency => {
+      addIssue('partial', dependency, moveMessage(dependency, 'depends on only part of the primary key'));
+    });
+  }
+
+  if (TRANSITIVE_DEPENDENCY_FORMS.includes(form)) {
+    const fkColumns = userTable.columns
+      .filter(col => col.type?.toUpperCase() === 'FK')
+      .map(col => col.name);
+    const alreadyReported = new Set(issues.map(issue => issue.column));
+
+    findTransitiveDependencies(columns, rows, keyColumns, fkColumns).forEach(dependency => {
+      if (alreadyReported.has(dependency.dependent)) return;
+      addIssue('transitive', dependency, moveMessage(dependency, `has a transitive dependency via ${dependency.determinant.join(', ')}`));
+    });
+  }
+
+  if (BCNF_FORMS.includes(form)) {
+    // A BCNF violation's dependent is a key column, and those can be typed FK
+    findBcnfViolations(columns, rows, getKeyColumns(userTable, rows)).forEach(dependency => {
+      addIssue('bcnf', dependency, moveMessage(dependency, `is part of the key but is determined by ${dependency.determinant.join(', ')}, which is not a key`));
+    });
+  }
+
+  if (MULTIVALUED_DEPENDENCY_FORMS.includes(form)) {
+    findMultivaluedDependencies(columns, rows).forEach(dependency => {
+      const via = dependency.determinant.join(', ');
+      const independent = dependency.independent.join(', ');
+      addIssue(
+        'multivalued',
+        dependency,
+        `${dependency.dependent} and ${independent} are independent facts about ${via} (${formatDependency(dependency)}): ` +
+          `every ${dependency.dependent} is repeated for every ${independent}, so the table is not in 4NF. ` +
+          `Store (${via}, ${dependency.dependent}) and (${via}, ${independent}) in separate tables`,
+        isMultivaluedDependencySplitInSolution(dependency, solutionTables, aliases)
+      );
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Get every accepted table set of a form's solution
+ * The solution's own tables come first, followed by its `alternatives`
+ * (e.g. a natural-key and a surrogate-key design of the same form)
+ * @param {Object} solution - Solution for one form: { explanation, tables, hints, alternatives }
+ * @returns {Array} Array of { name, explanation, tables }
+ */
+export function getSolutionAlternatives(solution) {
+  if (!solution) return [];
+  const main = { name: solution.name || 'Main solution', explanation: solution.explanation, tables: solution.tables || [] };
+  const alternatives = (solution.alternatives || [])
+    .filter(alternative => Array.isArray(alternative.tables))
+    .map((alternative, idx) => ({
+      name: alternative.name || `Alternative ${idx + 1}`,
+      explanation: alternative.explanation || solution.explanation,
+      tables: alternative.tables
+    }));
+  return [main, ...alternatives];
+}
+
+/**
+ * Generate each user table's rows once, for every check that looks at the data
+ * @param {Array} userTables - User's table definitions
+ * @param {Object} context - { rawData, previousFormTables, previousPreviousFormTables, olderFormTables }
+ * @returns {Object} Rows keyed by table id (empty without rawData)
+ */
+function generatePreviews(userTables, context) {
+  const { rawData, previousFormTables = null, previousPreviousFormTables = null, olderFormTables = [] } = context;
+  const previews = {};
+  if (!rawData) return previews;
+
+  (userTables || []).forEach(userTable => {
+    previews[userTable.id] = generateTableData(
+      userTable, rawData, previousFormTables, previousPreviousFormTables, ...olderFormTables
+    );
+  });
+  return previews;
+}
+
+/**
+ * Main validation function
+ * When the solution has alternatives, the attempt is validated against each one and
+ * reported against the best fit: fewest errors, then fewest warnings, then listing order
+ * @param {Array} userTables - User's table definitions
+ * @param {Object|Array} solution - Solution for the form (with optional alternatives),
+ *   or just its table definitions
+ * @param {Object} context - Optional data context for evidence-based checks:
+ *   { form, rawData, previousFormTables, previousPreviousFormTables, olderFormTables, functionalDependencies },
+ *   plus aliases (see getNameAliases) for name matching
+ * @returns {Object} Validation result with isValid (pass/fail for progression), a partial-credit
+ *   score, errors and warnings as issue objects (see createIssue), and per-table details
+ *   (plus dependencyPreservation when functionalDependencies are given, and
+ *   matchedAlternative: { index, name, count } when the solution has alternatives)
+ */
+export function validateSolution(userTables, solution, context = {}) {
+  const alternatives = Array.isArray(solution)
+    ? [{ name: 'Main solution', tables: solution }]
+    : getSolutionAlternatives(solution);
+
+  // The rows don't depend on the alternative, so they are generated once for all of them
+  const previews = generatePreviews(userTables, context);
+
+  let best = null;
+  alternatives.forEach((alternative, index) => {
+    const result = validateAgainstTables(userTables, alternative.tables, context, previews);
+    if (!best ||
+        result.errors.length < best.result.errors.length ||
+        (result.errors.length === best.result.errors.length && result.warnings.length < best.result.warnings.length)) {
+      best = { result, index, name: alternative.name };
+    }
+  });
+
+  if (!best) {
+    return validateAgainstTables(userTables, [], context, previews);
+  }
+  if (alternatives.length > 1) {
+    best.result.matchedAlternative = { index: best.index, name: best.name, count: alternatives.length };
+  }
+  return best.result;
+}
+
+/**
+ * Validate the user's tables against one accepted set of solution tables
+ * previews holds each table's generated rows by table id (see generatePreviews)
  */
-export function validateSolution(userTables, solutionTables) {
+function validateAgainstTables(userTables, solutionTables, context, previews) {
+  const aliases = context.aliases || NO_ALIASES;
   const result = {
     isValid: true,
     errors: [],
@@ -577,7 +1286,8 @@ export function validateSolution(userTables, solutionTables) {
   
   if (!userTables || userTables.length === 0) {
     result.isValid = false;
-    result.errors.push('No tables provided');
+    result.errors.push(createIssue(ISSUE_CODES.NO_TABLES, 'error', 'No tables provided'));
+    result.score = scoreSolution([], solutionTables, aliases);
     return result;
   }
   
@@ -585,19 +1295,24 @@ export function validateSolution(userTables, solutionTables) {
   const matchedSolutionTables = new Set();
   const allErrors = [];
   const allWarnings = [];
+  // Errors found in the generated rows, which cost points in the score
+  let dataIssueCount = 0;
   
   userTables.forEach((userTable) => {
-    const matchingSolutionTables = findMatchingTables(userTable, solutionTables);
+    const matchingSolutionTables = findMatchingTables(userTable, solutionTables, aliases);
     
     if (matchingSolutionTables.length === 0) {
       // No match found - but don't error, just warn
+      const issue = createIssue(ISSUE_CODES.UNMATCHED_TABLE, 'error', "Doesn't match any expected table structure", {
+        table: userTable.name
+      });
       result.tableDetails.push({
         tableName: userTable.name,
         isValid: false,
-        errors: [`Table "${userTable.name}" doesn't match any expected table structure`],
+        errors: [issue],
         warnings: []
       });
-      allErrors.push(`Table "${userTable.name}" doesn't match any solution table`);
+      allErrors.push(issue);
       result.isValid = false;
     } else {
       // Try to match against all possible solution tables
@@ -606,7 +1321,7 @@ export function validateSolution(userTables, solutionTables) {
       let bestErrorCount = Infinity;
       
       for (const solutionTable of matchingSolutionTables) {
-        const validation = validateTable(userTable, solutionTable);
+        const validation = validateTable(userTable, solutionTable, aliases, userTables);
         if (validation.errors.length < bestErrorCount) {
           bestErrorCount = validation.errors.length;
           bestMatch = solutionTable;
@@ -623,18 +1338,11 @@ export function validateSolution(userTables, solutionTables) {
           
           // Only add errors to main list if they're not column-specific (to avoid duplication)
           // Column-specific errors will be shown in tableDetails
-          const columnSpecificErrors = bestValidation.errors.filter(e => 
-            e.includes('should be a') || 
-            e.includes('should use') || 
-            e.includes('should include source column') ||
-            e.includes('should map to') ||
-            e.includes('is missing source column')
-          );
-          const generalErrors = bestValidation.errors.filter(e => !columnSpecificErrors.includes(e));
+          const generalErrors = bestValidation.errors.filter(issue => !COLUMN_ISSUE_CODES.includes(issue.code));
           
-          // Add general errors to main list with table name prefix
-          allErrors.push(...generalErrors.map(e => `${userTable.name}: ${e}`));
-          allWarnings.push(...bestValidation.warnings.map(w => `${userTable.name}: ${w}`));
+          // Add general errors to main list (they carry their table name)
+          allErrors.push(...generalErrors);
+          allWarnings.push(...bestValidation.warnings);
           
           result.tableDetails.push({
             tableName: userTable.name,
@@ -653,10 +1361,10 @@ export function validateSolution(userTables, solutionTables) {
     
     // Check if any user table matches this solution table (by name or structure)
     for (const userTable of userTables) {
-      const matches = findMatchingTables(userTable, [solutionTable]);
+      const matches = findMatchingTables(userTable, [solutionTable], aliases);
       if (matches.length > 0) {
         // Check if the columns match reasonably well
-        const validation = validateTable(userTable, solutionTable);
+        const validation = validateTable(userTable, solutionTable, aliases, userTables);
         // If it's a reasonable match (few errors), consider it found
         if (validation.errors.length <= 2) { // Allow some flexibility
           found = true;
@@ -667,14 +1375,146 @@ export function validateSolution(userTables, solutionTables) {
     
     if (!found) {
       // Only report missing if we truly can't find a match
-      allErrors.push(`Missing table: ${solutionTable.name}`);
+      allErrors.push(createIssue(ISSUE_CODES.MISSING_TABLE, 'error', `Missing table: ${solutionTable.name}`, {
+        expected: solutionTable.name
+      }));
       result.isValid = false;
     }
   });
   
+  // Evidence-based checks: look for dependencies in each table's generated rows
+  if (context.form && context.rawData) {
+    userTables.forEach(userTable => {
+      const issues = findDependencyIssues(userTable, previews[userTable.id], solutionTables, context);
+      if (issues.length === 0) return;
+
+      const structured = issues.map(issue => createIssue(DEPENDENCY_ISSUE_CODES[issue.type], issue.severity, issue.message, {
+        table: userTable.name,
+        column: issue.column,
+        actual: formatDependency({ determinant: issue.determinant, dependent: issue.column, multivalued: issue.type === 'multivalued' })
+      }));
+      const issueErrors = structured.filter(issue => issue.severity === 'error');
+      const issueWarnings = structured.filter(issue => issue.severity === 'warning');
+      const detail = result.tableDetails.find(d => d.tableName === userTable.name);
+      if (detail) {
+        detail.isValid = detail.isValid && issueErrors.length === 0;
+        detail.errors = [...detail.errors, ...issueErrors];
+        detail.warnings = [...detail.warnings, ...issueWarnings];
+        detail.dependencyIssues = issues;
+      }
+      dataIssueCount += issueErrors.length;
+      if (issueErrors.length > 0) {
+        result.isValid = false;
+        allErrors.push(createIssue(
+          ISSUE_CODES.DEPENDENCY_ISSUES,
+          'error',
+          `${issueErrors.length} dependency issue(s) found in the data`,
+          { table: userTable.name, actual: issueErrors.length }
+        ));
+      }
+    });
+  }
+
+  // Atomicity: lists and key/value pairs break 1NF; composite values are only worth a look,
+  // since whether "Austin, TX" is one fact depends on how the data is used
+  if (ATOMICITY_FORMS.includes(context.form) && context.rawData) {
+    userTables.forEach(userTable => {
+      if (!userTable.columns || userTable.columns.length === 0) return;
+      const findings = findNonAtomicValues(userTable.columns.map(col => col.name), previews[userTable.id]);
+      if (findings.length === 0) return;
+
+      const issues = findings.map(finding => createIssue(
+        ISSUE_CODES.NON_ATOMIC_VALUE,
+        finding.kind === 'composite' ? 'warning' : 'error',
+        finding.kind === 'composite'
+          ? `${finding.column} combines several parts in one value (e.g. "${finding.examples[0]}"); consider a column per part if they are used separately`
+          : `${finding.column} holds ${NON_ATOMIC_KIND_LABELS[finding.kind]} in ${finding.count} row(s) (e.g. "${finding.examples[0]}"), so it is not atomic: ` +
+            (finding.kind === 'list' ? 'give each value its own row, e.g. with a split mapping' : 'give each key its own column'),
+        { table: userTable.name, column: finding.column, actual: finding.examples }
+      ));
+      const issueErrors = issues.filter(issue => issue.severity === 'error');
+      const issueWarnings = issues.filter(issue => issue.severity === 'warning');
+      const detail = result.tableDetails.find(d => d.tableName === userTable.name);
+      if (detail) {
+        detail.isValid = detail.isValid && issueErrors.length === 0;
+        detail.errors = [...detail.errors, ...issueErrors];
+        detail.warnings = [...detail.warnings, ...issueWarnings];
+        detail.atomicityIssues = findings;
+      }
+      dataIssueCount += issueErrors.length;
+      if (issueErrors.length > 0) {
+        result.isValid = false;
+        allErrors.push(createIssue(
+          ISSUE_CODES.NON_ATOMIC_VALUES,
+          'error',
+          `${issueErrors.length} column(s) hold values that are not atomic`,
+          { table: userTable.name, actual: issueErrors.length }
+        ));
+      }
+    });
+  }
+
+  // Referential integrity: every FK value must exist among the referenced table's PK values
+  if (context.rawData) {
+    userTables.forEach(userTable => {
+      const issues = checkReferentialIntegrity(userTable, previews[userTable.id], userTables, previews);
+      if (issues.length === 0) return;
+
+      const messages = issues.map(issue => createIssue(
+        ISSUE_CODES.ORPHANED_FOREIGN_KEY,
+        'error',
+        `FK ${issue.column} has values with no matching ${issue.referencedTable}.${issue.referencedColumn}: ${issue.orphanedValues.join(', ')}`,
+        {
+          table: userTable.name,
+          column: issue.column,
+          expected: `${issue.referencedTable}.${issue.referencedColumn}`,
+          actual: issue.orphanedValues
+        }
+      ));
+      const detail = result.tableDetails.find(d => d.tableName === userTable.name);
+      if (detail) {
+        detail.isValid = false;
+        detail.errors = [...detail.errors, ...messages];
+        detail.referentialIssues = issues;
+      }
+      dataIssueCount += messages.length;
+      result.isValid = false;
+      allErrors.push(createIssue(
+        ISSUE_CODES.REFERENTIAL_ISSUES,
+        'error',
+        `${issues.length} foreign key(s) point to rows that don't exist`,
+        { table: userTable.name, actual: issues.length }
+      ));
+    });
+  }
+
+  // Dependency preservation: lost dependencies are reported but don't fail the attempt
+  if (context.functionalDependencies && context.functionalDependencies.length > 0) {
+    const { previousFormTables, previousPreviousFormTables, olderFormTables = [] } = context;
+    const earlierForms = [previousFormTables, previousPreviousFormTables, ...olderFormTables]
+      .filter(tables => tables && tables.length > 0);
+    const preservation = checkDependencyPreservation(context.functionalDependencies, userTables, earlierForms);
+    result.dependencyPreservation = preservation;
+
+    const tradeOff = DEPENDENCY_LOSS_ACCEPTED_FORMS.includes(context.form)
+      ? ' This can be an accepted trade-off when it removes a BCNF violation.'
+      : '';
+    preservation.lost.forEach(dependency => {
+      const columns = [...dependency.determinant, dependency.dependent].join(', ');
+      allWarnings.push(createIssue(
+        ISSUE_CODES.DEPENDENCY_NOT_PRESERVED,
+        'warning',
+        `Dependency ${formatDependency(dependency)} is not preserved: no table holds ${columns} together, so enforcing it needs a join.${tradeOff}`,
+        { column: dependency.dependent, expected: formatDependency(dependency) }
+      ));
+    });
+  }
+
+  result.score = scoreSolution(userTables, solutionTables, aliases, dataIssueCount);
+
   // Deduplicate errors and warnings
-  result.errors = Array.from(new Set(allErrors));
-  result.warnings = Array.from(new Set(allWarnings));
+  result.errors = dedupeIssues(allErrors);
+  result.warnings = dedupeIssues(allWarnings);
   
   return result;
 }
@@ -0,0 +1,33 @@
+/**
+ * Value Helpers Utility
+ * Shared normalization of names and cells, so every utility matches table/column
+ * names and compares cell values the same way
+ */
+
+/**
+ * Normalize a table/column name for matching (case and whitespace insensitive)
+ * @param {string} name - Name to normalize (missing names give '')
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  if (!name) return '';
+  return name.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Check whether a cell holds a value (not null/undefined/whitespace)
+ * @param {*} cell - Cell value
+ * @returns {boolean}
+ */
+export function hasValue(cell) {
+  return cell !== null && cell !== undefined && String(cell).trim() !== '';
+}
+
+/**
+ * Normalize a cell for comparison so "500" and " 500 " are treated as the same value
+ * @param {*} cell - Cell value
+ * @returns {string} The trimmed value, or '' for an empty cell
+ */
+export function cellKey(cell) {
+  return hasValue(cell) ? String(cell).trim() : '';
+}